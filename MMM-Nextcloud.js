@@ -11,6 +11,10 @@ Module.register("MMM-Nextcloud", {
         opacity: 0.3, // Main photo opacity
         backgroundOpacity: 1.0, // Opacity for blurred background image (0.0 - 1.0)
         animationSpeed: 500,
+        transition: "fade", // "fade", "crossfade", "slide", "zoom", "kenBurns" or "random" for a different one per photo
+        layout: "single", // "single", "portraitPair" for two portrait photos side by side, "grid" or "mosaic"
+        layoutColumns: 3, // Tiles across in the grid and mosaic layouts
+        layoutRows: 2, // Tiles down in the grid and mosaic layouts
         updateInterval: 60, // Seconds between photo changes
         listRefreshInterval: 3600, // Seconds between photo list refreshes (1 hour)
         repositoryConfig: {
@@ -20,23 +24,78 @@ Module.register("MMM-Nextcloud", {
             recursive: false,
             exclude: [], // Array of regex patterns to exclude files
         },
+        sources: [], // Several repositories with the keys of repositoryConfig plus name and weight, replaces repositoryConfig
         width: 400,
         height: 400,
         showWidth: 400, // Used for display quality
         showHeight: 400,
+        usePreviews: false, // Download previews scaled to the display size instead of original files
+        cacheMaxBytes: 268435456, // Disk space for cached images (256 MB)
+        prefetchDepth: 2, // Number of upcoming images downloaded in advance
+        prefetchConcurrency: 1, // Parallel prefetch downloads
+        prefetchMaxBytesPerSecond: 0, // Bandwidth limit for prefetching, 0 = unlimited
         random: true,
+        randomMode: "uniform", // "uniform", "shuffleBag" to show every photo once before any repeats, or "weighted"
+        selectionWeights: { // Factors of randomMode "weighted", 0 turns a factor off
+            newUploads: 3, // Boost of photos uploaded within newUploadDays, fading with age
+            favorites: 2, // Boost of photos starred in Nextcloud
+            playCount: 1, // Penalty per time a photo was shown more often than its boosts call for
+            recentlyShown: 4 // Penalty of photos shown within recentlyShownHours, fading with time
+        },
+        newUploadDays: 7,
+        recentlyShownHours: 24,
+        historySize: 100, // Photos remembered for going back in random order
+        order: "none", // Order without random: "none" (as listed), "name", "dateTaken", "modified", "newestFirst", "folderThenDate"
+        orderDirection: "ascending", // "ascending" or "descending"
+        mode: "all", // "all" or "onThisDay" for photos taken on today's date in earlier years
+        onThisDayMinImages: 3, // Fewer photos widen onThisDay to the same week, month, then all photos
+        dateFilter: null, // Limit photos by capture date, e.g. { lastMonths: 12 }, { fromYear: 2015, toYear: 2018 } or { season: "current" }
+        minRating: 0, // Only photos with at least this star rating (1-5) from XMP or EXIF, 0 = all
+        indexMetadata: false, // Index EXIF metadata of all photos in the background (always on for onThisDay)
+        indexConcurrency: 2, // Parallel requests when indexing metadata in the background
         grayscale: false,
         blur: false,
         blurAmount: 1,
         startHidden: false,
         startPaused: false,
+        schedule: [], // Profiles overriding options by time of day and weekday, see README
         showStatusIcon: true,
         statusIconMode: "show", // "show", "fade"
         statusIconPosition: "top_right", // "top_right", "top_left", "bottom_right", "bottom_left"
         showExifData: true,
         enableGeocoding: true, // Enable reverse geocoding for GPS coordinates to location names
+        geocoder: "nominatim", // "nominatim", "photon" or "offline"
+        geocoderUrl: null, // Self-hosted geocoder, defaults to the public instance of the geocoder
+        geocoderDataFile: null, // Place list of the offline geocoder in the GeoNames format, defaults to geodata/cities.txt
+        geocoderZoom: 10, // Detail of location names: 14 suburb, 10 city, 8 county, 5 state, 3 country
+        geocoderLanguage: null, // Language of location names, defaults to the MagicMirror language
+        geocoderTimeout: 2000, // Milliseconds an image waits for its location name, later names are added when they arrive
         showOsmAttribution: true, // Show OpenStreetMap attribution when location data is displayed
         dateFormat: "DD MMMM YYYY", // Custom date format for EXIF data display
+        timeFormat: "HH:mm", // Time format of the {time} caption token
+        captionTemplate: null, // Caption with tokens like {date}, {location} or {camera}, an array for several lines, see README
+    },
+
+    // Months of the meteorological seasons of the northern hemisphere
+    seasonMonths: {
+        winter: [11, 0, 1],
+        spring: [2, 3, 4],
+        summer: [5, 6, 7],
+        autumn: [8, 9, 10]
+    },
+
+    // Effects picked from by transition "random"
+    transitionEffects: ["fade", "crossfade", "slide", "zoom", "kenBurns"],
+
+    // Rotation and flip that turn a photo upright, by EXIF orientation
+    orientationTransforms: {
+        2: { rotate: "0deg", scale: "-1 1" },
+        3: { rotate: "180deg", scale: "" },
+        4: { rotate: "0deg", scale: "1 -1" },
+        5: { rotate: "90deg", scale: "1 -1" },
+        6: { rotate: "90deg", scale: "" },
+        7: { rotate: "90deg", scale: "-1 1" },
+        8: { rotate: "270deg", scale: "" }
     },
 
     start: function() {
@@ -44,13 +103,50 @@ Module.register("MMM-Nextcloud", {
         
         this.updateTimer = null;
         this.refreshTimer = null;
+        this.sortTimer = null; // Limits sorting while metadata and list updates arrive
+        this.sortPending = false;
+        this.nameCollator = new Intl.Collator(undefined, { numeric: true });
         this.imageList = [];
         this.currentImageIndex = -1;
+        this.upcomingImages = []; // Images planned to be shown next
+        this.prefetchedImages = new Map(); // Map of href -> image data ready to display
+        this.playbackState = {}; // Saved by the node helper across restarts
         this.running = false;
         this.currentImageUrl = null;
+        this.currentImage = null; // Image data on screen
         this.animationInProgress = false;
+        this.slotImages = []; // Image data on screen in each slot of the layout
+        this.nextSlot = 0; // Tile of the grid and mosaic layouts changed next
+        this.pendingPicks = []; // Images of the next change, shown once all of them arrived
+
+        this.prepareConfig();
+
+        // Schedule profiles override the configured options, which stay the base
+        this.baseConfig = this.config;
+        this.schedule = this.parseSchedule(this.config.schedule);
+        this.scheduleProfile = this.getScheduleProfile(new Date());
+        this.pausedBySchedule = Boolean(this.scheduleProfile?.paused);
+        if (this.scheduleProfile) {
+            Log.info(`[${this.name}] Starting with schedule profile ${this.scheduleProfile.name}`);
+            this.config = this.createProfileConfig(this.scheduleProfile);
+            this.prepareConfig();
+        }
+        if (this.schedule.length > 0) {
+            this.scheduleTimer = setInterval(() => this.updateScheduleProfile(), 60 * 1000);
+        }
 
-        // Validate configuration
+        // Send initial configuration to node helper
+        this.sendSocketNotification('INIT_CONFIG', { identifier: this.identifier, config: this.config });
+        
+        // Request initial image list
+        this.requestImageList();
+    },
+
+    /**
+     * Validates the config and completes what MagicMirror does not merge with
+     * the defaults.
+     */
+    prepareConfig: function() {
         this.validateConfig();
 
         // Set blur amount to max of 10px
@@ -58,20 +154,33 @@ Module.register("MMM-Nextcloud", {
             this.config.blurAmount = 10; 
         }
 
-        // Send initial configuration to node helper
-        this.sendSocketNotification('INIT_CONFIG', this.config);
-        
-        // Request initial image list
-        this.requestImageList();
+        // Nested options are not merged with the defaults by MagicMirror
+        this.config.selectionWeights = { ...this.defaults.selectionWeights, ...this.config.selectionWeights };
+        this.config.dateFilter = this.normalizeDateFilter(this.config.dateFilter);
+        this.config.geocoderLanguage = this.config.geocoderLanguage || config.language || "en";
     },
 
     validateConfig: function() {
-        if (!this.config.repositoryConfig.path) {
+        // Public share links (https://cloud.example.com/s/<token>) need no account,
+        // recognized like PUBLIC_SHARE_PATH of the node helper does
+        const needsCredentials = source => {
+            try {
+                return !/^(?!.*\/(?:remote|public)\.php\/)(.*?)\/(?:index\.php\/)?s\/([A-Za-z0-9]+)\/?$/.test(new URL(source.path).pathname);
+            } catch {
+                return true;
+            }
+        };
+
+        if (this.config.sources.length > 0) {
+            this.config.sources.forEach((source, index) => {
+                if (!source.path || (needsCredentials(source) && (!source.username || !source.password))) {
+                    Log.error(`[${this.name}] Source ${source.name || index + 1} needs a path, username and password`);
+                }
+            });
+        } else if (!this.config.repositoryConfig.path) {
             Log.error(`[${this.name}] No repository path configured. Please set repositoryConfig.path`);
             return;
-        }
-
-        if (!this.config.repositoryConfig.username || !this.config.repositoryConfig.password) {
+        } else if (needsCredentials(this.config.repositoryConfig) && (!this.config.repositoryConfig.username || !this.config.repositoryConfig.password)) {
             Log.error(`[${this.name}] No credentials configured. Please set repositoryConfig.username and repositoryConfig.password`);
             return;
         }
@@ -93,11 +202,192 @@ Module.register("MMM-Nextcloud", {
             Log.warn(`[${this.name}] listRefreshInterval too low. Setting to minimum of 300 seconds`);
             this.config.listRefreshInterval = 300;
         }
+
+        const validOrders = ["none", "name", "dateTaken", "modified", "newestFirst", "folderThenDate"];
+        if (!validOrders.includes(this.config.order)) {
+            Log.warn(`[${this.name}] Invalid order. Using default 'none'`);
+            this.config.order = "none";
+        }
+
+        if (!["uniform", "shuffleBag", "weighted"].includes(this.config.randomMode)) {
+            Log.warn(`[${this.name}] Invalid randomMode. Using default 'uniform'`);
+            this.config.randomMode = "uniform";
+        }
+
+        if (![...this.transitionEffects, "random"].includes(this.config.transition)) {
+            Log.warn(`[${this.name}] Invalid transition. Using default 'fade'`);
+            this.config.transition = "fade";
+        }
+
+        if (!["single", "portraitPair", "grid", "mosaic"].includes(this.config.layout)) {
+            Log.warn(`[${this.name}] Invalid layout. Using default 'single'`);
+            this.config.layout = "single";
+        }
+
+        this.config.layoutColumns = Math.max(1, Math.round(this.config.layoutColumns) || 1);
+        this.config.layoutRows = Math.max(1, Math.round(this.config.layoutRows) || 1);
+        if (this.config.layout === "mosaic" && (this.config.layoutColumns < 2 || this.config.layoutRows < 2)) {
+            Log.warn(`[${this.name}] The mosaic layout needs at least 2 layoutColumns and layoutRows. Using 'grid'`);
+            this.config.layout = "grid";
+        }
+    },
+
+    /**
+     * Turns the schedule config into profiles with times in minutes of the day
+     * and weekdays as numbers. Invalid entries are left out.
+     */
+    parseSchedule: function(schedule) {
+        const weekdays = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+        const parseTime = time => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+            const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : null;
+            return match && Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+        };
+
+        return (Array.isArray(schedule) ? schedule : []).map((entry, index) => {
+            const name = entry.name || `#${index + 1}`;
+            const from = entry.from === undefined ? 0 : parseTime(entry.from);
+            const to = entry.to === undefined ? 24 * 60 : parseTime(entry.to);
+            const days = entry.days === undefined ? null : [].concat(entry.days).map(day => {
+                return typeof day === "number" ? day : weekdays.indexOf(String(day).slice(0, 3).toLowerCase());
+            });
+
+            if (from === null || to === null || (days && days.some(day => day < 0 || day > 6))) {
+                Log.warn(`[${this.name}] Invalid schedule profile ${name}, use from/to as "HH:MM" and days as names or 0-6 (Sunday = 0)`);
+                return null;
+            }
+
+            return { name: name, from: from, to: to, days: days, paused: Boolean(entry.paused), config: entry.config || {} };
+        }).filter(profile => profile);
+    },
+
+    /**
+     * Returns the first schedule profile active at the given time, or null.
+     * A time range past midnight belongs to the weekday it starts on.
+     */
+    getScheduleProfile: function(date) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const today = date.getDay();
+        const yesterday = (today + 6) % 7;
+        const onDay = (profile, day) => !profile.days || profile.days.includes(day);
+
+        return this.schedule.find(profile => {
+            if (profile.from < profile.to) {
+                return onDay(profile, today) && minutes >= profile.from && minutes < profile.to;
+            }
+            if (profile.from === profile.to) {
+                return onDay(profile, today);
+            }
+            return (onDay(profile, today) && minutes >= profile.from) || (onDay(profile, yesterday) && minutes < profile.to);
+        }) || null;
+    },
+
+    /**
+     * The base config with the options of a schedule profile. A profile's
+     * repositoryConfig extends the base one, so a folder or tags can be
+     * changed without repeating the credentials.
+     */
+    createProfileConfig: function(profile) {
+        if (!profile) {
+            return this.baseConfig;
+        }
+
+        return {
+            ...this.baseConfig,
+            ...profile.config,
+            repositoryConfig: { ...this.baseConfig.repositoryConfig, ...profile.config.repositoryConfig },
+            // The slots of the layout are built once with the DOM
+            layout: this.baseConfig.layout,
+            layoutColumns: this.baseConfig.layoutColumns,
+            layoutRows: this.baseConfig.layoutRows
+        };
+    },
+
+    /**
+     * Switches to the schedule profile active now. A profile with other photo
+     * sources makes the node helper list them again, other options apply to
+     * the running slideshow.
+     */
+    updateScheduleProfile: function() {
+        const profile = this.getScheduleProfile(new Date());
+        if (profile === this.scheduleProfile) {
+            return;
+        }
+
+        Log.info(`[${this.name}] Switching to schedule profile ${profile ? profile.name : "default"}`);
+        const previousConfig = this.config;
+        this.scheduleProfile = profile;
+        this.config = this.createProfileConfig(profile);
+        if (profile) {
+            this.prepareConfig();
+        }
+
+        const listing = config => JSON.stringify([config.repositoryConfig, config.sources]);
+        if (listing(previousConfig) !== listing(this.config)) {
+            // The photos of the previous profile are shown until the new list arrives
+            this.sendSocketNotification("INIT_CONFIG", { identifier: this.identifier, config: this.config });
+            this.requestImageList();
+        } else {
+            this.sendSocketNotification("UPDATE_CONFIG", { identifier: this.identifier, config: this.config });
+        }
+
+        this.upcomingImages = [];
+        this.sortImageList();
+        this.applyDisplayOptions();
+
+        if (profile?.paused && !this.pausedBySchedule) {
+            this.pausedBySchedule = true;
+            this.pauseImageLoading();
+        } else if (!profile?.paused && this.pausedBySchedule) {
+            this.pausedBySchedule = false;
+            if (!this.running && this.imageList.length > 0) {
+                this.resumeImageLoading(false);
+            }
+        } else {
+            // Restarts the timer with the updateInterval of the profile
+            this.scheduleNextUpdate();
+        }
+    },
+
+    /**
+     * Applies opacity, grayscale and blur to the image on screen, used when a
+     * schedule profile changes them.
+     */
+    applyDisplayOptions: function() {
+        const wrapper = this.getElement("nextcloud");
+        if (!wrapper) {
+            return;
+        }
+
+        for (let slot = 0; slot < this.getSlotCount(); slot++) {
+            const mainImage = this.getElement(this.getSlotImageName(slot));
+            if (mainImage) {
+                this.updateMainImageFilters(mainImage);
+                if (this.slotImages[slot]) {
+                    mainImage.style.opacity = this.config.opacity;
+                }
+            }
+        }
+
+        let backgroundImage = this.getElement("nextcloud-background-blur");
+        if (this.config.blur && !backgroundImage) {
+            backgroundImage = this.createBackgroundImage();
+            wrapper.insertBefore(backgroundImage, wrapper.firstChild);
+        }
+
+        if (backgroundImage) {
+            backgroundImage.style.display = this.config.blur ? "" : "none";
+            if (this.config.blur && this.currentImageUrl) {
+                backgroundImage.src = this.currentImageUrl;
+                this.applyImageOrientation(backgroundImage, this.currentImage?.orientation);
+                this.updateBackgroundFilters(backgroundImage);
+            }
+        }
     },
 
     requestImageList: function() {
         Log.info(`[${this.name}] Requesting image list from Nextcloud...`);
-        this.sendSocketNotification('FETCH_IMAGE_LIST');
+        this.sendSocketNotification('FETCH_IMAGE_LIST', { identifier: this.identifier });
     },
 
     setupRefreshTimer: function() {
@@ -127,7 +417,7 @@ Module.register("MMM-Nextcloud", {
 
     resumeImageLoading: function(respectPausedState = false) {
         if (!this.running || !respectPausedState) {
-            if (respectPausedState && this.config.startPaused) {
+            if (respectPausedState && (this.config.startPaused || this.pausedBySchedule)) {
                 this.running = false;
                 return;
             }
@@ -155,112 +445,939 @@ Module.register("MMM-Nextcloud", {
             return;
         }
 
-        const imageData = this.getNextImageFromList(direction);
-        if (!imageData) {
+        const picks = this.pickSlotImages(direction);
+        if (picks.length === 0) {
             Log.error(`[${this.name}] Failed to get image from list`);
             this.scheduleNextUpdate();
             return;
         }
 
-        Log.debug(`[${this.name}] Loading image: ${imageData.filename}`);
-        this.sendSocketNotification('FETCH_IMAGE', imageData);
+        for (const pick of picks.filter(pick => pick.image)) {
+            const prefetchedImage = this.prefetchedImages.get(pick.image.href);
+            if (prefetchedImage) {
+                Log.debug(`[${this.name}] Showing prefetched image: ${pick.image.filename}`);
+                pick.imageData = prefetchedImage;
+            } else {
+                Log.debug(`[${this.name}] Loading image: ${pick.image.filename}`);
+                this.sendSocketNotification('FETCH_IMAGE', {
+                    identifier: this.identifier,
+                    image: { ...pick.image, ...this.getDisplaySize() }
+                });
+            }
+        }
+
+        this.pendingPicks = picks;
+        this.displayPendingPicks();
+        this.prefetchUpcomingImages();
     },
 
-    getNextImageFromList: function(direction = "next") {
+    /**
+     * Picks the images of the next change and the slots they go to. The single
+     * layout changes its one photo. portraitPair shows a portrait photo next to
+     * another one, or a landscape photo alone. Grid and mosaic fill all tiles,
+     * then change one tile at a time. A pick without image clears its slot.
+     */
+    pickSlotImages: function(direction) {
+        if (this.config.layout === "grid" || this.config.layout === "mosaic") {
+            const slotCount = this.getSlotCount();
+            let slots = [...Array(slotCount).keys()].filter(slot => !this.slotImages[slot]);
+
+            if (slots.length === 0) {
+                // Going back changes the tile changed last again
+                slots = [direction === "previous" ? (this.nextSlot + slotCount - 1) % slotCount : this.nextSlot];
+                if (direction !== "previous") {
+                    this.nextSlot = (this.nextSlot + 1) % slotCount;
+                }
+            }
+
+            // Tiles show different photos as long as there are enough of them
+            const shown = new Set(this.slotImages.filter(Boolean).map(image => image.href));
+            const picks = [];
+            for (const slot of slots) {
+                const image = this.getNextImageFromList(direction, candidate => !shown.has(candidate.href)) || this.getNextImageFromList(direction);
+                if (!image) {
+                    break;
+                }
+                shown.add(image.href);
+                picks.push({ slot: slot, image: image, imageData: null });
+            }
+            return picks;
+        }
+
+        const image = this.getNextImageFromList(direction);
+        if (!image) {
+            return [];
+        }
+
+        const picks = [{ slot: 0, image: image, imageData: null }];
+        if (this.config.layout === "portraitPair") {
+            const partner = direction === "next" && this.isPortrait(image) ? this.getPortraitPartner(image) : null;
+            if (partner || this.slotImages[1]) {
+                picks.push({ slot: 1, image: partner, imageData: null });
+            }
+        }
+        return picks;
+    },
+
+    /**
+     * Returns a portrait photo to show next to another one, or null if there
+     * is none. Sequential order only takes the photo planned next.
+     */
+    getPortraitPartner: function(image) {
+        const isPartner = candidate => candidate.href !== image.href && this.isPortrait(candidate);
+        if (this.config.random) {
+            return this.getNextImageFromList("next", isPartner);
+        }
+
+        this.fillUpcomingImages(1);
+        return isPartner(this.upcomingImages[0]) ? this.getNextImageFromList("next") : null;
+    },
+
+    /**
+     * Photos are portrait if their indexed size, as turned by the EXIF
+     * orientation, is higher than wide. Photos not indexed yet count as landscape.
+     */
+    isPortrait: function(image) {
+        return Boolean(image && image.imageWidth && image.imageHeight && image.imageHeight > image.imageWidth);
+    },
+
+    /**
+     * Shows the images of the next change once all of them arrived.
+     */
+    displayPendingPicks: function() {
+        const picks = this.pendingPicks;
+        if (picks.length === 0 || picks.some(pick => pick.image && !pick.imageData)) {
+            return;
+        }
+
+        this.pendingPicks = [];
+        this.displayImages(picks);
+    },
+
+    /**
+     * Takes an image from the node helper for the pending change it belongs to.
+     */
+    receiveImageData: function(imageData) {
+        const pick = this.pendingPicks.find(pending => pending.image && pending.image.href === imageData.href && !pending.imageData);
+        if (pick) {
+            pick.imageData = imageData;
+            this.displayPendingPicks();
+        }
+    },
+
+    /**
+     * Gives up the pending change waiting for an image the node helper could
+     * not load. The photos on screen stay until the next change is due.
+     */
+    skipFailedImage: function(href) {
+        if (this.pendingPicks.some(pick => pick.image && pick.image.href === href && !pick.imageData)) {
+            this.pendingPicks = [];
+            this.scheduleNextUpdate();
+        }
+    },
+
+    /**
+     * Asks the node helper to download the images planned next, so they are
+     * ready when their turn comes. Prefetched images no longer planned are dropped.
+     */
+    prefetchUpcomingImages: function() {
+        const currentImage = this.imageList[this.currentImageIndex];
+
+        this.fillUpcomingImages(this.config.prefetchDepth);
+
+        const plannedHrefs = new Set(this.upcomingImages.map(image => image.href));
+        for (const href of this.prefetchedImages.keys()) {
+            if (!plannedHrefs.has(href) && (!currentImage || currentImage.href !== href)) {
+                this.prefetchedImages.delete(href);
+            }
+        }
+
+        const displaySize = this.getDisplaySize();
+        const imageRequests = this.upcomingImages
+            .filter(image => !this.prefetchedImages.has(image.href))
+            .map(image => ({ ...image, ...displaySize }));
+
+        if (imageRequests.length > 0) {
+            this.sendSocketNotification("PREFETCH_IMAGES", { identifier: this.identifier, images: imageRequests });
+        }
+    },
+
+    /**
+     * Keeps the image received from the node helper once the browser has decoded it.
+     */
+    storePrefetchedImage: function(imageData) {
+        if (!this.upcomingImages.some(image => image.href === imageData.href)) {
+            return;
+        }
+
+        const image = new Image();
+        image.src = imageData.url;
+        image.decode()
+            .then(() => {
+                this.prefetchedImages.set(imageData.href, imageData);
+            })
+            .catch(error => {
+                Log.warn(`[${this.name}] Failed to decode prefetched image ${imageData.filename}: ${error}`);
+            });
+    },
+
+    /**
+     * Returns the size in device pixels the photo is shown at: the screen in
+     * fullscreen positions, otherwise the rendered module size.
+     */
+    getDisplaySize: function() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const isFullscreen = this.data.position && this.data.position.indexOf("fullscreen") !== -1;
+        const wrapper = this.getElement("nextcloud");
+        let width = this.config.showWidth;
+        let height = this.config.showHeight;
+
+        if (isFullscreen) {
+            width = window.screen.width;
+            height = window.screen.height;
+        } else if (wrapper && wrapper.clientWidth > 0 && wrapper.clientHeight > 0) {
+            width = wrapper.clientWidth;
+            height = wrapper.clientHeight;
+        }
+
+        // Tiles are smaller than the module, the largest one sets the size
+        const rects = this.getSlotRects(false);
+        const widthShare = Math.max(...rects.map(rect => rect.width)) / 100;
+        const heightShare = Math.max(...rects.map(rect => rect.height)) / 100;
+
+        return {
+            width: Math.round(width * widthShare * pixelRatio),
+            height: Math.round(height * heightShare * pixelRatio)
+        };
+    },
+
+    /**
+     * Moves to the next or previous image and returns it. accept limits the
+     * next image to those it returns true for; null if there is none.
+     */
+    getNextImageFromList: function(direction = "next", accept = null) {
         if (!this.imageList || this.imageList.length === 0) {
             return null;
         }
 
         let targetIndex = this.currentImageIndex;
 
-        if (this.config.random) {
-            // Ensure we don't show the same image twice in a row (unless only one image)
-            do {
-                targetIndex = Math.floor(Math.random() * this.imageList.length);
-            } while (this.imageList.length > 1 && targetIndex === this.currentImageIndex);
-        } else {
-            if (direction === "previous") {
-                targetIndex--;
-                if (targetIndex < 0) {
-                    targetIndex = this.imageList.length - 1;
-                }
+        if (direction === "previous") {
+            // Going back invalidates the planned images
+            this.upcomingImages = [];
+
+            if (this.config.random) {
+                targetIndex = this.getPreviousImageFromHistory();
             } else {
-                targetIndex++;
-                if (targetIndex >= this.imageList.length) {
-                    targetIndex = 0;
+                const pool = this.getImagePool();
+                const previousIndexes = pool.filter(index => index < this.currentImageIndex);
+                targetIndex = previousIndexes.length > 0 ? previousIndexes[previousIndexes.length - 1] : pool[pool.length - 1];
+            }
+        } else {
+            const shuffleBag = this.config.random && this.config.randomMode === "shuffleBag";
+            if (shuffleBag) {
+                // Planned photos another pick took meanwhile would repeat within the round
+                const shown = new Set(this.playbackState.shuffleShown || []);
+                this.upcomingImages = this.upcomingImages.filter(image => !shown.has(image.href));
+            }
+
+            this.fillUpcomingImages(1);
+            const position = accept ? this.upcomingImages.findIndex(accept) : 0;
+            const nextImage = position === -1 ? null : this.upcomingImages.splice(position, 1)[0];
+            targetIndex = nextImage ? this.imageList.findIndex(image => image.href === nextImage.href) : -1;
+
+            if (targetIndex === -1) {
+                targetIndex = this.pickImageIndex(this.currentImageIndex, accept);
+            }
+
+            if (this.config.random && targetIndex !== undefined) {
+                this.addToHistory(this.imageList[targetIndex].href);
+                if (shuffleBag) {
+                    this.addToShuffleRound(this.imageList[targetIndex].href);
                 }
             }
         }
 
+        if (targetIndex === -1 || targetIndex === undefined) {
+            return null;
+        }
+
         this.currentImageIndex = targetIndex;
         return {
-            filename: this.imageList[targetIndex],
+            ...this.imageList[targetIndex],
             index: targetIndex
         };
     },
 
-    displayImage: function(imageData) {
+    /**
+     * Random order remembers the images shown, so going back returns to them.
+     */
+    addToHistory: function(href) {
+        const history = this.playbackState.history || [];
+        history.push(href);
+        this.playbackState.history = history.slice(-Math.max(1, this.config.historySize));
+        this.sendPlaybackChange({ historyAdded: href });
+    },
+
+    /**
+     * Counts a photo as shown in the round of the shuffle bag as soon as it is
+     * picked, so the images planned after it cannot repeat it.
+     */
+    addToShuffleRound: function(href) {
+        const shuffleShown = this.playbackState.shuffleShown || [];
+        if (!shuffleShown.includes(href)) {
+            shuffleShown.push(href);
+            this.sendPlaybackChange({ shuffleShown: href });
+        }
+        this.playbackState.shuffleShown = shuffleShown;
+    },
+
+    /**
+     * Steps back in the history of random order, skipping images that are no
+     * longer listed. Stays on the current image when there is no history left.
+     */
+    getPreviousImageFromHistory: function() {
+        const history = this.playbackState.history || [];
+        let targetIndex = this.currentImageIndex;
+        let removed = 0;
+
+        while (history.length > 1) {
+            history.pop();
+            removed++;
+            const index = this.imageList.findIndex(image => image.href === history[history.length - 1]);
+            if (index !== -1) {
+                targetIndex = index;
+                break;
+            }
+        }
+
+        if (removed > 0) {
+            this.sendPlaybackChange({ historyRemoved: removed });
+        }
+        return targetIndex;
+    },
+
+    /**
+     * Plans images ahead until at least the given number of images is queued,
+     * so random picks are known before they are shown.
+     */
+    fillUpcomingImages: function(count) {
+        if (this.imageList.length === 0) {
+            return;
+        }
+
+        const lastPlanned = this.upcomingImages[this.upcomingImages.length - 1];
+        let lastIndex = lastPlanned ? this.imageList.findIndex(image => image.href === lastPlanned.href) : this.currentImageIndex;
+
+        while (this.upcomingImages.length < count) {
+            lastIndex = this.pickImageIndex(lastIndex);
+            this.upcomingImages.push(this.imageList[lastIndex]);
+        }
+    },
+
+    pickImageIndex: function(previousIndex, accept = null) {
+        let pool = this.getImagePool();
+
+        if (accept) {
+            // A filtered pick must not end the round of the shuffle bag early
+            const shown = new Set(this.config.random && this.config.randomMode === "shuffleBag" ? this.playbackState.shuffleShown : []);
+            pool = pool.filter(index => accept(this.imageList[index]) && !shown.has(this.imageList[index].href));
+            if (pool.length === 0) {
+                return undefined;
+            }
+        }
+
+        if (this.config.random) {
+            return this.pickWeightedImageIndex(previousIndex, pool);
+        }
+
+        const nextIndex = pool.find(index => index > previousIndex);
+        return nextIndex === undefined ? pool[0] : nextIndex;
+    },
+
+    /**
+     * Sorts the image list by the order option. The slideshow position stays on
+     * the current image, and images planned in sequential order are planned again.
+     */
+    sortImageList: function() {
+        const comparator = this.getImageComparator();
+        if (!comparator) {
+            return;
+        }
+
+        const currentImage = this.imageList[this.currentImageIndex];
+        this.imageList.sort(comparator);
+        this.currentImageIndex = currentImage ? this.imageList.indexOf(currentImage) : -1;
+
+        if (!this.config.random) {
+            this.upcomingImages = [];
+        }
+    },
+
+    /**
+     * Sorts the image list now, and at most once a minute while metadata
+     * batches or list updates keep arriving, e.g. during indexing or crawling.
+     */
+    scheduleImageListSort: function() {
+        if (this.sortTimer) {
+            this.sortPending = true;
+            return;
+        }
+
+        this.sortImageList();
+        this.sortTimer = setTimeout(() => {
+            this.sortTimer = null;
+            if (this.sortPending) {
+                this.sortPending = false;
+                this.scheduleImageListSort();
+            }
+        }, 60 * 1000);
+    },
+
+    getImageComparator: function() {
+        // ISO dates sort as strings, names and folders by one shared collator, as sorting runs often
+        const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const byName = (a, b) => this.nameCollator.compare(a.filename, b.filename);
+        // Photos without capture date fall back to their modification date
+        const dateOf = image => image.dateTaken || image.lastModified || "";
+        const byDate = (a, b) => compareText(dateOf(a), dateOf(b)) || byName(a, b);
+        const folderOf = image => image.filename.slice(0, image.filename.lastIndexOf("/") + 1);
+
+        const comparators = {
+            name: byName,
+            dateTaken: byDate,
+            modified: (a, b) => compareText(a.lastModified || "", b.lastModified || "") || byName(a, b),
+            newestFirst: (a, b) => byDate(b, a),
+            folderThenDate: (a, b) => this.nameCollator.compare(folderOf(a), folderOf(b)) || byDate(a, b)
+        };
+
+        const comparator = comparators[this.config.order];
+        if (!comparator) {
+            return null;
+        }
+
+        return this.config.orderDirection === "descending" ? (a, b) => comparator(b, a) : comparator;
+    },
+
+    /**
+     * Returns the indexes of the images the slideshow picks from. In onThisDay
+     * mode these are photos taken on today's date in earlier years, widened to
+     * the same week or month, and finally all photos, if there are too few.
+     */
+    getImagePool: function() {
+        const allIndexes = this.getFilteredIndexes();
+        if (this.config.mode !== "onThisDay") {
+            return allIndexes;
+        }
+
+        const today = new Date();
+        const todayOfYear = this.getDayOfYear(today.getMonth(), today.getDate());
+        const earlierYears = [];
+
+        for (const index of allIndexes) {
+            // Capture dates carry the camera's local time as UTC
+            const dateTaken = this.imageList[index].dateTaken ? new Date(this.imageList[index].dateTaken) : null;
+            if (dateTaken && dateTaken.getUTCFullYear() < today.getFullYear()) {
+                const distance = Math.abs(this.getDayOfYear(dateTaken.getUTCMonth(), dateTaken.getUTCDate()) - todayOfYear);
+                earlierYears.push({ index: index, days: Math.min(distance, 365 - distance), month: dateTaken.getUTCMonth() });
+            }
+        }
+
+        const rules = [
+            image => image.days === 0,
+            image => image.days <= 3,
+            image => image.month === today.getMonth()
+        ];
+
+        for (const rule of rules) {
+            const pool = earlierYears.filter(rule).map(image => image.index);
+            if (pool.length >= Math.max(1, this.config.onThisDayMinImages)) {
+                return pool;
+            }
+        }
+
+        return allIndexes;
+    },
+
+    /**
+     * Returns the indexes of the images matching the dateFilter and minRating.
+     * Images are dated by capture date, or by modification date until their
+     * metadata is indexed; unindexed images have no rating yet. If no image
+     * matches, all images are returned so the slideshow never runs dry.
+     */
+    getFilteredIndexes: function() {
+        const allIndexes = this.imageList.map((_, index) => index);
+        const filter = this.config.dateFilter || {};
+        const minRating = this.config.minRating;
+        if (!this.config.dateFilter && !(minRating > 0)) {
+            return allIndexes;
+        }
+
+        const now = new Date();
+        const since = filter.lastMonths ? Date.UTC(now.getFullYear(), now.getMonth() - filter.lastMonths, now.getDate()) : null;
+        const seasonMonths = filter.season ? this.seasonMonths[filter.season === "current" ? this.getSeason(now.getMonth()) : filter.season] : null;
+
+        const filtered = allIndexes.filter(index => {
+            const image = this.imageList[index];
+            if (minRating > 0 && !(image.rating >= minRating)) {
+                return false;
+            }
+            if (!this.config.dateFilter) {
+                return true;
+            }
+
+            const date = image.dateTaken || image.lastModified ? new Date(image.dateTaken || image.lastModified) : null;
+            if (!date || isNaN(date.getTime())) {
+                return false;
+            }
+
+            // Capture dates carry the camera's local time as UTC
+            return (!since || date.getTime() >= since)
+                && (!filter.fromYear || date.getUTCFullYear() >= filter.fromYear)
+                && (!filter.toYear || date.getUTCFullYear() <= filter.toYear)
+                && (!seasonMonths || seasonMonths.includes(date.getUTCMonth()));
+        });
+
+        return filtered.length > 0 ? filtered : allIndexes;
+    },
+
+    getSeason: function(month) {
+        return Object.keys(this.seasonMonths).find(season => this.seasonMonths[season].includes(month));
+    },
+
+    /**
+     * Checks a dateFilter of the config or a notification, dropping invalid
+     * keys. Returns null if nothing is left to filter by.
+     */
+    normalizeDateFilter: function(filter) {
+        if (!filter || typeof filter !== "object") {
+            return null;
+        }
+
+        const normalized = {};
+
+        for (const key of ["lastMonths", "fromYear", "toYear"]) {
+            if (filter[key] === undefined || filter[key] === null) {
+                continue;
+            }
+
+            const value = Number(filter[key]);
+            if (Number.isInteger(value) && value > 0) {
+                normalized[key] = value;
+            } else {
+                Log.warn(`[${this.name}] Invalid dateFilter.${key}, ignoring it`);
+            }
+        }
+
+        if (filter.season !== undefined && filter.season !== null) {
+            if (filter.season === "current" || this.seasonMonths[filter.season]) {
+                normalized.season = filter.season;
+            } else {
+                Log.warn(`[${this.name}] Invalid dateFilter.season, use "current", "spring", "summer", "autumn" or "winter"`);
+            }
+        }
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    },
+
+    /**
+     * Changes the dateFilter at runtime. Planned images are dropped and the
+     * next image is shown right away, so the new pool is visible at once.
+     */
+    setDateFilter: function(filter) {
+        // Kept when a schedule profile switches, unless the profile sets its own
+        this.config.dateFilter = this.baseConfig.dateFilter = this.normalizeDateFilter(filter);
+        this.sendSocketNotification("UPDATE_CONFIG", { identifier: this.identifier, config: this.config });
+        Log.info(`[${this.name}] Date filter set to ${JSON.stringify(this.config.dateFilter)}`);
+
+        this.upcomingImages = [];
+        if (this.running && this.imageList.length > 0) {
+            clearTimeout(this.updateTimer);
+            this.loadNextImage("next");
+        }
+    },
+
+    /**
+     * Day of the year in a year without February 29th, which counts as March 1st.
+     */
+    getDayOfYear: function(month, day) {
+        return Math.round((Date.UTC(2001, month, day) - Date.UTC(2001, 0, 1)) / 86400000);
+    },
+
+    /**
+     * Picks a random image of the pool, first choosing its source by weight so
+     * each source gets its share of the slideshow no matter how many photos it holds.
+     */
+    pickWeightedImageIndex: function(previousIndex, pool) {
+        // Ensure we don't show the same image twice in a row (unless only one image)
+        const candidates = pool.length > 1 ? pool.filter(index => index !== previousIndex) : pool;
+        const indexes = this.pickSourceImages(candidates);
+
+        if (this.config.randomMode === "shuffleBag") {
+            return this.pickFromShuffleBag(indexes);
+        }
+
+        if (this.config.randomMode === "weighted") {
+            return this.pickByScore(indexes);
+        }
+
+        return indexes[Math.floor(Math.random() * indexes.length)];
+    },
+
+    /**
+     * Chooses a source by weight and returns the candidates that belong to it.
+     */
+    pickSourceImages: function(candidateIndexes) {
+        const sourceImages = new Map(); // Map of source index -> indexes of its images
+
+        candidateIndexes.forEach(index => {
+            const source = this.imageList[index].source || 0;
+            if (!sourceImages.has(source)) {
+                sourceImages.set(source, []);
+            }
+            sourceImages.get(source).push(index);
+        });
+
+        const candidates = [...sourceImages];
+        const totalWeight = candidates.reduce((sum, [source]) => sum + this.getSourceWeight(source), 0);
+        let remainingWeight = Math.random() * totalWeight;
+        let [, indexes] = candidates[candidates.length - 1];
+
+        for (const [source, sourceIndexes] of candidates) {
+            remainingWeight -= this.getSourceWeight(source);
+            if (remainingWeight < 0) {
+                indexes = sourceIndexes;
+                break;
+            }
+        }
+
+        return indexes;
+    },
+
+    /**
+     * Draws an image not shown in the current round of the shuffle bag. The
+     * images shown are kept per round, so added images join the running round
+     * and a source starts a new round once all of its images were shown.
+     */
+    pickFromShuffleBag: function(indexes) {
+        const shown = new Set(this.playbackState.shuffleShown || []);
+        const planned = new Set(this.upcomingImages.map(image => image.href));
+        let unshown = indexes.filter(index => !shown.has(this.imageList[index].href) && !planned.has(this.imageList[index].href));
+
+        if (unshown.length === 0) {
+            const source = this.imageList[indexes[0]].source || 0;
+            const sourceHrefs = new Set(this.imageList.filter(image => (image.source || 0) === source).map(image => image.href));
+
+            this.playbackState.shuffleShown = [...shown].filter(href => !sourceHrefs.has(href));
+            this.sendPlaybackChange({ shuffleRemoved: [...shown].filter(href => sourceHrefs.has(href)) });
+            unshown = indexes.filter(index => !planned.has(this.imageList[index].href));
+            if (unshown.length === 0) {
+                unshown = indexes;
+            }
+        }
+
+        return unshown[Math.floor(Math.random() * unshown.length)];
+    },
+
+    /**
+     * Picks an image with a probability proportional to its selection score.
+     */
+    pickByScore: function(indexes) {
+        const plays = this.playbackState.plays || {};
+        const images = indexes.map(index => this.imageList[index]);
+        const boosts = images.map(image => this.getSelectionBoost(image));
+        const playShares = images.map((image, i) => (plays[image.href]?.count || 0) / boosts[i]);
+        const minPlayShare = Math.min(...playShares);
+        const scores = images.map((image, i) => this.getSelectionScore(image, boosts[i], playShares[i] - minPlayShare));
+        let remainingScore = Math.random() * scores.reduce((sum, score) => sum + score, 0);
+
+        for (let i = 0; i < indexes.length; i++) {
+            remainingScore -= scores[i];
+            if (remainingScore < 0) {
+                return indexes[i];
+            }
+        }
+
+        return indexes[indexes.length - 1];
+    },
+
+    /**
+     * Boost of an image for randomMode "weighted" from its file metadata: new
+     * uploads and favorites are shown more often.
+     */
+    getSelectionBoost: function(image) {
+        const weights = this.config.selectionWeights;
+        let boost = 1;
+
+        const ageDays = (Date.now() - new Date(image.lastModified).getTime()) / (24 * 60 * 60 * 1000);
+        if (ageDays >= 0 && ageDays < this.config.newUploadDays) {
+            boost *= 1 + weights.newUploads * (1 - ageDays / this.config.newUploadDays);
+        }
+
+        if (image.favorite) {
+            boost *= 1 + weights.favorites;
+        }
+
+        return boost;
+    },
+
+    /**
+     * Scores an image for randomMode "weighted": its boost, pushed down when
+     * shown often or recently. Plays count against the boost, so a favorite
+     * shown three times as often as other photos is not shown too often, and
+     * the excess is measured from the least shown photos so a long running
+     * slideshow does not push everything down alike.
+     */
+    getSelectionScore: function(image, boost, excessPlays) {
+        const weights = this.config.selectionWeights;
+        const play = this.playbackState.plays?.[image.href];
+        let score = boost;
+
+        if (play) {
+            score /= 1 + weights.playCount * excessPlays;
+
+            const hoursSinceShown = (Date.now() - play.lastShown) / (60 * 60 * 1000);
+            if (hoursSinceShown < this.config.recentlyShownHours) {
+                score /= 1 + weights.recentlyShown * (1 - hoursSinceShown / this.config.recentlyShownHours);
+            }
+        }
+
+        return score;
+    },
+
+    getSourceWeight: function(sourceIndex) {
+        const weight = Number(this.config.sources[sourceIndex]?.weight);
+        return weight > 0 ? weight : 1;
+    },
+
+    /**
+     * Preloads the images of a change, then shows them all at once.
+     */
+    displayImages: function(picks) {
         if (this.animationInProgress) {
             return;
         }
 
         this.animationInProgress = true;
         
-        // Create new image element to preload
-        const tempImg = document.createElement('img');
-        
-        tempImg.onload = () => {
-            this.performImageTransition(imageData);
-        };
-        
-        tempImg.onerror = (error) => {
-            Log.error(`[${this.name}] Failed to load image: ${error}`);
-            this.animationInProgress = false;
-            this.scheduleNextUpdate();
-        };
-        
-        tempImg.src = imageData.encodedData;
+        // Create new image elements to preload
+        const loads = picks.filter(pick => pick.imageData).map(pick => new Promise((resolve, reject) => {
+            const tempImg = document.createElement('img');
+            tempImg.onload = resolve;
+            tempImg.onerror = reject;
+            tempImg.src = pick.imageData.url;
+        }));
+
+        Promise.all(loads)
+            .then(() => {
+                this.performImageTransition(picks);
+            })
+            .catch(error => {
+                Log.error(`[${this.name}] Failed to load image: ${error}`);
+                this.animationInProgress = false;
+                this.scheduleNextUpdate();
+            });
     },
 
-    performImageTransition: function(imageData) {
-        const mainImage = document.getElementById("nextcloud-main-image");
-        const backgroundImage = document.getElementById("nextcloud-background-blur");
+    /**
+     * Shows the images of a change with the transition of the config. Each new
+     * image is stacked on top of the one on screen in its slot, which is
+     * removed once the transition is over. The blurred background shows the
+     * first image and fades with the same timing.
+     */
+    performImageTransition: function(picks) {
+        const mainImages = picks.map(pick => this.getElement(this.getSlotImageName(pick.slot)));
+        const backgroundImage = this.getElement("nextcloud-background-blur");
+        const imageData = picks[0].imageData;
         
-        if (!mainImage) {
+        if (mainImages.some(mainImage => !mainImage)) {
             Log.error(`[${this.name}] Main image element not found`);
             this.animationInProgress = false;
             return;
         }
 
+        // portraitPair rearranges its slots while the screen is faded out
+        const paired = picks.some(pick => pick.slot === 1 && pick.imageData);
+        const relayout = this.config.layout === "portraitPair" && paired !== Boolean(this.slotImages[1]);
+        const effect = relayout ? "fade" : this.config.transition === "random"
+            ? this.transitionEffects[Math.floor(Math.random() * this.transitionEffects.length)]
+            : this.config.transition;
+        const speed = this.config.animationSpeed;
+        // Fade hides the old image before the new one comes in, the others overlap
+        const delay = effect === "fade" ? speed / 2 : 0;
+
+        const layers = picks.map((pick, index) => {
+            const incomingImage = this.createMainImage(pick.slot);
+            this.stackImage(mainImages[index], incomingImage);
+            if (pick.imageData) {
+                incomingImage.src = pick.imageData.url;
+                this.applyImageOrientation(incomingImage, pick.imageData.orientation);
+            }
+            this.updateMainImageFilters(incomingImage);
+            return { outgoing: mainImages[index], incoming: incomingImage, orientation: pick.imageData?.orientation, styles: this.getTransitionStyles(effect, this.config.opacity) };
+        });
+
         // Update background blur image if blur is enabled
         if (this.config.blur && backgroundImage) {
-            backgroundImage.src = imageData.encodedData;
-            this.updateBackgroundFilters(backgroundImage);
+            const incomingBackground = this.createBackgroundImage();
+            this.stackImage(backgroundImage, incomingBackground);
+            incomingBackground.src = imageData.url;
+            this.applyImageOrientation(incomingBackground, imageData.orientation);
+            this.updateBackgroundFilters(incomingBackground);
+            const backgroundEffect = effect === "fade" ? "fade" : "crossfade";
+            layers.push({ outgoing: backgroundImage, incoming: incomingBackground, orientation: imageData.orientation, styles: this.getTransitionStyles(backgroundEffect, incomingBackground.style.opacity) });
         }
 
-        // Animate main image transition
-        mainImage.style.opacity = '0';
+        for (const { outgoing, incoming, styles } of layers) {
+            Object.assign(incoming.style, styles.from);
+            outgoing.style.transition = styles.transition(effect === "fade" ? speed / 2 : speed);
+            Object.assign(outgoing.style, styles.leave);
+        }
         
         setTimeout(() => {
-            mainImage.src = imageData.encodedData;
-            this.updateMainImageFilters(mainImage);
-            
-            // Fade in new image
-            mainImage.style.transition = `opacity ${this.config.animationSpeed}ms ease-in-out`;
-            mainImage.style.opacity = this.config.opacity;
+            if (relayout) {
+                this.applySlotLayout(paired);
+            }
+
+            for (const { incoming, orientation, styles } of layers) {
+                if (relayout) {
+                    this.applyImageOrientation(incoming, orientation);
+                }
+                // The starting styles have to be rendered before the transition starts
+                void incoming.offsetWidth;
+                incoming.style.transition = styles.transition(speed);
+                Object.assign(incoming.style, styles.to);
+            }
             
             // Update EXIF information
             if (this.config.showExifData && imageData.exifData) {
-                this.updateExifDisplay(imageData.exifData);
+                this.updateExifDisplay(imageData);
             } else {
                 this.hideExifDisplay();
             }
             
-            this.currentImageUrl = imageData.encodedData;
-            this.animationInProgress = false;
+            for (const pick of picks) {
+                this.slotImages[pick.slot] = pick.imageData;
+                if (pick.imageData) {
+                    this.markImageShown(pick.imageData.href);
+                }
+            }
+            this.currentImageUrl = imageData.url;
+            this.currentImage = imageData;
             this.scheduleNextUpdate();
             
-        }, this.config.animationSpeed / 2);
+        }, delay);
+
+        setTimeout(() => {
+            for (const { outgoing } of layers) {
+                outgoing.remove();
+            }
+            this.animationInProgress = false;
+        }, delay + speed);
+    },
+
+    /**
+     * Puts a new image element on top of an old one, which gives up its id.
+     * Fullscreen images are laid out in the flow, so the old one is taken out
+     * of it to stay in place below the new one.
+     */
+    stackImage: function(outgoing, incoming) {
+        outgoing.removeAttribute("id");
+        if (outgoing.classList.contains("nextcloud-main-image") && outgoing.classList.contains("nextcloud-fullscreen")) {
+            outgoing.style.position = "absolute";
+        }
+
+        incoming.style.transition = "none";
+        outgoing.parentNode.insertBefore(incoming, outgoing.nextSibling);
+    },
+
+    /**
+     * Styles of a transition effect: from and to for the new image, leave for
+     * the old one. transition(duration) returns the CSS transition; Ken Burns
+     * pans and zooms for the whole updateInterval.
+     */
+    getTransitionStyles: function(effect, opacity) {
+        const kenBurnsDuration = this.config.updateInterval * 1000 + this.config.animationSpeed;
+        const transition = duration => [
+            `opacity ${duration}ms ease-in-out`,
+            `margin-left ${duration}ms ease-in-out`,
+            effect === "kenBurns" ? `transform ${kenBurnsDuration}ms linear` : `transform ${duration}ms ease-in-out`,
+            "filter 0.7s ease-in-out"
+        ].join(", ");
+
+        switch (effect) {
+            case "slide":
+                return { from: { opacity: opacity, marginLeft: "100%" }, to: { marginLeft: "0%" }, leave: { marginLeft: "-100%" }, transition: transition };
+            case "zoom":
+                return { from: { opacity: "0", transform: "scale(1.2)" }, to: { opacity: opacity, transform: "scale(1)" }, leave: {}, transition: transition };
+            case "kenBurns": {
+                // Zooms in or out between 110% and 120% and pans by up to 3% in each direction
+                const zoomIn = Math.random() < 0.5;
+                const pan = () => `${(Math.random() * 6 - 3).toFixed(1)}%`;
+                return {
+                    from: { opacity: "0", transform: `scale(${zoomIn ? 1.1 : 1.2}) translate(${pan()}, ${pan()})` },
+                    to: { opacity: opacity, transform: `scale(${zoomIn ? 1.2 : 1.1}) translate(${pan()}, ${pan()})` },
+                    leave: {},
+                    transition: transition
+                };
+            }
+            case "crossfade":
+                return { from: { opacity: "0" }, to: { opacity: opacity }, leave: {}, transition: transition };
+            default:
+                return { from: { opacity: "0" }, to: { opacity: opacity }, leave: { opacity: "0" }, transition: transition };
+        }
+    },
+
+    /**
+     * Records the image on screen in the playback state, which the node helper
+     * keeps across restarts.
+     */
+    markImageShown: function(href) {
+        const change = { lastImage: href };
+        this.playbackState.lastImage = href;
+
+        if (this.config.random && this.config.randomMode === "weighted") {
+            const plays = this.playbackState.plays || {};
+            plays[href] = { count: (plays[href]?.count || 0) + 1, lastShown: Date.now() };
+            this.playbackState.plays = plays;
+            change.plays = { [href]: plays[href] };
+        }
+
+        this.sendPlaybackChange(change);
+    },
+
+    /**
+     * Hands a change of the playback state to the node helper, which keeps a
+     * copy of it across restarts. Only the change is sent, the shuffle bag
+     * grows with the library.
+     */
+    sendPlaybackChange: function(change) {
+        this.sendSocketNotification("UPDATE_PLAYBACK_STATE", { identifier: this.identifier, change: change });
+    },
+
+    /**
+     * Turns an image element upright by the EXIF orientation of its photo.
+     * The browser's own EXIF handling is off in the CSS, so all photos are
+     * turned the same way. For a quarter turn the element gets the width and
+     * height of its box swapped, so it fills the box once rotated.
+     */
+    applyImageOrientation: function(imageElement, orientation) {
+        const transform = this.orientationTransforms[orientation];
+
+        imageElement.style.rotate = transform ? transform.rotate : "";
+        imageElement.style.scale = transform ? transform.scale : "";
+        imageElement.style.width = "";
+        imageElement.style.height = "";
+        imageElement.style.translate = "";
+
+        const width = imageElement.offsetWidth;
+        const height = imageElement.offsetHeight;
+        // Hidden elements have no size to swap
+        if (orientation >= 5 && width && height) {
+            imageElement.style.width = `${height}px`;
+            imageElement.style.height = `${width}px`;
+            imageElement.style.translate = `${(width - height) / 2}px ${(height - width) / 2}px`;
+        }
     },
 
     updateMainImageFilters: function(imageElement) {
@@ -292,34 +1409,32 @@ Module.register("MMM-Nextcloud", {
         backgroundElement.style.opacity = this.config.backgroundOpacity * 0.8; // Slightly more transparent for better effect
     },
 
-    updateExifDisplay: function(exifData) {
-        const exifContainer = document.getElementById("nextcloud-exif-data");
+    updateExifDisplay: function(imageData) {
+        const exifContainer = this.getElement("nextcloud-exif-data");
         if (!exifContainer) return;
 
-        let exifText = "";
-        let hasLocationData = false;
-        
-        if (exifData.date) {
-            exifText += this.formatExifDate(exifData.date);
-        }
-        
-        if (exifData.location) {
-            if (exifText) exifText += ", ";
-            exifText += exifData.location;
-            hasLocationData = true;
-        }
+        // The listing knows the source of the image, the image data its EXIF data
+        const image = { ...this.imageList.find(listed => listed.href === imageData.href), ...imageData };
+        const tokens = this.getCaptionTokens(image);
+        const lines = this.getCaptionTemplate()
+            .map(template => this.renderCaptionTemplate(template, tokens))
+            .filter(line => line);
+        const hasLocationData = Boolean(tokens.location) && this.getCaptionTemplate().some(template => template.includes("{location}"));
 
-        if (exifText) {
+        if (lines.length > 0) {
             // Clear previous content
             exifContainer.innerHTML = "";
             
-            // Main EXIF text
-            const mainText = document.createElement("span");
-            mainText.textContent = exifText;
-            exifContainer.appendChild(mainText);
+            // One element per caption line
+            for (const line of lines) {
+                const lineElement = document.createElement("div");
+                lineElement.className = "nextcloud-caption-line";
+                lineElement.textContent = line;
+                exifContainer.appendChild(lineElement);
+            }
             
             // Add OSM attribution if location data is shown (from geocoding) and attribution is enabled
-            if (hasLocationData && this.config.enableGeocoding && this.config.showOsmAttribution) {
+            if (hasLocationData && this.config.enableGeocoding && this.config.geocoder !== "offline" && this.config.showOsmAttribution) {
                 const attribution = document.createElement("div");
                 attribution.className = "nextcloud-osm-attribution";
                 attribution.innerHTML = 'Location data © <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a>';
@@ -335,29 +1450,137 @@ Module.register("MMM-Nextcloud", {
         }
     },
 
+    /**
+     * Caption lines of the captionTemplate. Without a template the caption
+     * shows date and location, and in onThisDay mode how long ago it was.
+     */
+    getCaptionTemplate: function() {
+        const template = this.config.captionTemplate
+            || (this.config.mode === "onThisDay" ? "{date}[ ({yearsAgo})][, {location}]" : "{date}[, {location}]");
+
+        return [].concat(template).flatMap(line => String(line).split("\n"));
+    },
+
+    /**
+     * Values of the caption tokens of an image, empty when unknown.
+     */
+    getCaptionTokens: function(image) {
+        const exifData = image.exifData || {};
+        const pathParts = (image.filename || "").split("/");
+
+        return {
+            date: exifData.date ? this.formatExifDate(exifData.date) : "",
+            time: exifData.date ? this.formatDate(exifData.date, this.config.timeFormat) : "",
+            location: exifData.location || "",
+            camera: exifData.camera || "",
+            lens: exifData.lens || "",
+            exposure: exifData.exposureTime ? `${exifData.exposureTime < 1 ? `1/${Math.round(1 / exifData.exposureTime)}` : exifData.exposureTime} s` : "",
+            aperture: exifData.fNumber ? `f/${exifData.fNumber}` : "",
+            focalLength: exifData.focalLength ? `${Math.round(exifData.focalLength)} mm` : "",
+            iso: exifData.iso ? String(exifData.iso) : "",
+            folder: pathParts.length > 1 ? pathParts[pathParts.length - 2] : "",
+            filename: pathParts[pathParts.length - 1],
+            source: image.sourceName || "",
+            title: exifData.title || "",
+            description: exifData.description || "",
+            keywords: (exifData.keywords || []).join(", "),
+            rating: exifData.rating > 0 ? "★".repeat(Math.round(exifData.rating)) : "",
+            yearsAgo: exifData.date ? this.formatYearsAgo(exifData.date) : ""
+        };
+    },
+
+    /**
+     * Replaces the {token} placeholders of a caption line. Text in square
+     * brackets is left out if a token inside it is empty, e.g. "[, {location}]".
+     */
+    renderCaptionTemplate: function(template, tokens) {
+        const replaceToken = (match, name) => (Object.prototype.hasOwnProperty.call(tokens, name) ? tokens[name] : match);
+
+        return template.replace(/\[([^\]]*)\]|\{(\w+)\}/g, (match, optional, name) => {
+            if (optional === undefined) {
+                return replaceToken(match, name);
+            }
+
+            const names = [...optional.matchAll(/\{(\w+)\}/g)].map(token => token[1]);
+            return names.every(tokenName => tokens[tokenName]) ? optional.replace(/\{(\w+)\}/g, replaceToken) : "";
+        }).trim();
+    },
+
     formatExifDate: function(dateString) {
-        try {
-            // Parse the date and format according to user preference
-            const date = new Date(dateString);
-            if (isNaN(date.getTime())) {
-                return dateString; // Return original if parsing fails
+        return this.formatDate(dateString, this.config.dateFormat);
+    },
+
+    /**
+     * Formats a capture date with tokens like those of moment.js: YYYY, YY,
+     * MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh, h, mm, ss and A. Names
+     * are in the language of MagicMirror, text in square brackets is kept.
+     * Capture dates carry the camera's local time as UTC, so UTC is used.
+     */
+    formatDate: function(dateString, format) {
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) {
+            return dateString; // Return original if parsing fails
+        }
+
+        const language = config.language || "en";
+        const part = (options, type) => {
+            try {
+                return new Intl.DateTimeFormat(language, { ...options, timeZone: "UTC" }).formatToParts(date).find(entry => entry.type === type).value;
+            } catch {
+                // Unknown language
+                return new Intl.DateTimeFormat("en", { ...options, timeZone: "UTC" }).formatToParts(date).find(entry => entry.type === type).value;
             }
-            
-            // Simple date formatting - could be enhanced with moment.js alternative
-            const options = { 
-                year: 'numeric', 
-                month: 'long', 
-                day: '2-digit' 
-            };
-            return date.toLocaleDateString('en-US', options);
-        } catch (error) {
-            Log.warn(`[${this.name}] Failed to format date: ${dateString}`);
-            return dateString;
+        };
+        const pad = value => String(value).padStart(2, "0");
+        const hours = date.getUTCHours();
+
+        const formatters = {
+            YYYY: () => String(date.getUTCFullYear()),
+            YY: () => pad(date.getUTCFullYear() % 100),
+            // With a day, month names get the form used in dates, e.g. in Polish or Russian
+            MMMM: () => part({ day: "numeric", month: "long" }, "month"),
+            MMM: () => part({ day: "numeric", month: "short" }, "month"),
+            MM: () => pad(date.getUTCMonth() + 1),
+            M: () => String(date.getUTCMonth() + 1),
+            DD: () => pad(date.getUTCDate()),
+            D: () => String(date.getUTCDate()),
+            dddd: () => part({ weekday: "long" }, "weekday"),
+            ddd: () => part({ weekday: "short" }, "weekday"),
+            HH: () => pad(hours),
+            H: () => String(hours),
+            hh: () => pad(hours % 12 || 12),
+            h: () => String(hours % 12 || 12),
+            mm: () => pad(date.getUTCMinutes()),
+            ss: () => pad(date.getUTCSeconds()),
+            A: () => (hours < 12 ? "AM" : "PM")
+        };
+
+        return String(format).replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A/g, (token, literal) => {
+            return literal !== undefined ? literal : formatters[token]();
+        });
+    },
+
+    /**
+     * Describes how long ago a photo was taken in the language of MagicMirror,
+     * e.g. "3 years ago".
+     */
+    formatYearsAgo: function(dateString) {
+        const yearsAgo = new Date().getFullYear() - new Date(dateString).getUTCFullYear();
+
+        if (!(yearsAgo > 0)) {
+            return "";
+        }
+
+        const language = config.language || "en";
+        try {
+            return new Intl.RelativeTimeFormat(language, { numeric: "always" }).format(-yearsAgo, "year");
+        } catch {
+            return yearsAgo === 1 ? "1 year ago" : `${yearsAgo} years ago`;
         }
     },
 
     hideExifDisplay: function() {
-        const exifContainer = document.getElementById("nextcloud-exif-data");
+        const exifContainer = this.getElement("nextcloud-exif-data");
         if (exifContainer) {
             exifContainer.style.display = "none";
         }
@@ -378,7 +1601,7 @@ Module.register("MMM-Nextcloud", {
     updateStatusIcon: function(navigationDirection = null) {
         if (!this.config.showStatusIcon) return;
 
-        const statusIcon = document.getElementById("nextcloud-status-icon");
+        const statusIcon = this.getElement("nextcloud-status-icon");
         if (!statusIcon) return;
 
         // Clear existing classes
@@ -387,7 +1610,7 @@ Module.register("MMM-Nextcloud", {
         if (navigationDirection) {
             // Show navigation icon temporarily
             const iconClass = navigationDirection === "next" ? "fa-arrow-circle-right" : "fa-arrow-circle-left";
-            statusIcon.className = `fas ${iconClass}`;
+            statusIcon.className = `nextcloud-status-icon fas ${iconClass}`;
             
             // Show briefly then switch to play/pause
             setTimeout(() => {
@@ -400,7 +1623,7 @@ Module.register("MMM-Nextcloud", {
 
     setPlayPauseIcon: function(iconElement) {
         const iconClass = this.running ? "fa-play-circle" : "fa-pause-circle";
-        iconElement.className = `fas ${iconClass}`;
+        iconElement.className = `nextcloud-status-icon fas ${iconClass}`;
         
         if (this.config.statusIconMode === "fade") {
             iconElement.style.opacity = "1";
@@ -414,7 +1637,7 @@ Module.register("MMM-Nextcloud", {
 
     getDom: function() {
         const wrapper = document.createElement("div");
-        wrapper.id = "nextcloud";
+        wrapper.id = this.getElementId("nextcloud");
         wrapper.className = "nextcloud-container";
 
         // Set dimensions if not fullscreen
@@ -433,32 +1656,35 @@ Module.register("MMM-Nextcloud", {
 
         // Add blurred background image if blur is enabled
         if (this.config.blur) {
-            const bgImg = document.createElement("img");
-            bgImg.id = "nextcloud-background-blur";
-            
-            // Add appropriate class based on fullscreen mode
-            const isFullscreen = this.data.position && this.data.position.indexOf("fullscreen") !== -1;
-            bgImg.className = isFullscreen ? "nextcloud-background-blur nextcloud-fullscreen" : "nextcloud-background-blur";
-            
-            bgImg.style.opacity = "0"; // Initially hidden
-            wrapper.appendChild(bgImg);
+            wrapper.appendChild(this.createBackgroundImage());
         }
 
-        // Main image container
-        const mainImg = document.createElement("img");
-        mainImg.id = "nextcloud-main-image";
-        
-        // Add appropriate class based on fullscreen mode
         const isFullscreen = this.data.position && this.data.position.indexOf("fullscreen") !== -1;
-        mainImg.className = isFullscreen ? "nextcloud-main-image nextcloud-fullscreen" : "nextcloud-main-image";
-        
-        mainImg.style.opacity = "0"; // Initially hidden
-        wrapper.appendChild(mainImg);
+
+        // Main image container, or one in each slot of the layout
+        if (this.config.layout === "single") {
+            wrapper.appendChild(this.createMainImage());
+        } else {
+            // Slots are placed in percent of the module, which needs a size of its own
+            if (isFullscreen) {
+                wrapper.style.width = "100vw";
+                wrapper.style.height = "100vh";
+            }
+
+            this.getSlotRects(false).forEach((rect, slot) => {
+                const slotFrame = document.createElement("div");
+                slotFrame.id = this.getElementId(`nextcloud-slot-${slot}`);
+                slotFrame.className = "nextcloud-slot";
+                Object.assign(slotFrame.style, this.getSlotStyle(rect));
+                slotFrame.appendChild(this.createMainImage(slot));
+                wrapper.appendChild(slotFrame);
+            });
+        }
 
         // EXIF data container
         if (this.config.showExifData) {
             const exifDiv = document.createElement("div");
-            exifDiv.id = "nextcloud-exif-data";
+            exifDiv.id = this.getElementId("nextcloud-exif-data");
             exifDiv.className = isFullscreen ? "nextcloud-exif-data nextcloud-fullscreen" : "nextcloud-exif-data";
             exifDiv.style.display = "none";
             wrapper.appendChild(exifDiv);
@@ -467,13 +1693,13 @@ Module.register("MMM-Nextcloud", {
         // Status icon
         if (this.config.showStatusIcon) {
             const statusContainer = document.createElement("div");
-            statusContainer.id = "nextcloud-status-container";
+            statusContainer.id = this.getElementId("nextcloud-status-container");
             const statusClasses = `nextcloud-status-container nextcloud-status-${this.config.statusIconPosition.replace('_', '-')}`;
             statusContainer.className = isFullscreen ? `${statusClasses} nextcloud-fullscreen` : statusClasses;
             
             const statusIcon = document.createElement("i");
-            statusIcon.id = "nextcloud-status-icon";
-            statusIcon.className = "fas fa-pause-circle";
+            statusIcon.id = this.getElementId("nextcloud-status-icon");
+            statusIcon.className = "nextcloud-status-icon fas fa-pause-circle";
             statusIcon.style.opacity = "0";
             
             statusContainer.appendChild(statusIcon);
@@ -483,11 +1709,109 @@ Module.register("MMM-Nextcloud", {
         return wrapper;
     },
 
+    createMainImage: function(slot = 0) {
+        const mainImg = document.createElement("img");
+        mainImg.id = this.getElementId(this.getSlotImageName(slot));
+        
+        // Add appropriate class based on fullscreen mode
+        const isFullscreen = this.data.position && this.data.position.indexOf("fullscreen") !== -1;
+        mainImg.className = isFullscreen ? "nextcloud-main-image nextcloud-fullscreen" : "nextcloud-main-image";
+        
+        mainImg.style.opacity = "0"; // Initially hidden
+        return mainImg;
+    },
+
+    /**
+     * The first slot keeps the id of the single layout's image.
+     */
+    getSlotImageName: function(slot) {
+        return slot === 0 ? "nextcloud-main-image" : `nextcloud-main-image-${slot}`;
+    },
+
+    /**
+     * Returns the position of every slot of the layout in percent of the
+     * module. The first slot of portraitPair covers the module unless it shows
+     * a pair. The first tile of the mosaic covers two columns and two rows.
+     */
+    getSlotRects: function(paired) {
+        const columns = this.config.layoutColumns;
+        const rows = this.config.layoutRows;
+        const cells = [...Array(columns * rows).keys()];
+        const cell = (column, row, size = 1) => ({
+            left: column * 100 / columns,
+            top: row * 100 / rows,
+            width: size * 100 / columns,
+            height: size * 100 / rows
+        });
+
+        switch (this.config.layout) {
+            case "portraitPair":
+                return [
+                    { left: 0, top: 0, width: paired ? 50 : 100, height: 100 },
+                    { left: 50, top: 0, width: 50, height: 100 }
+                ];
+            case "grid":
+                return cells.map(index => cell(index % columns, Math.floor(index / columns)));
+            case "mosaic":
+                return [cell(0, 0, 2)].concat(cells
+                    .filter(index => index % columns >= 2 || index >= 2 * columns)
+                    .map(index => cell(index % columns, Math.floor(index / columns))));
+            default:
+                return [{ left: 0, top: 0, width: 100, height: 100 }];
+        }
+    },
+
+    getSlotCount: function() {
+        return this.getSlotRects(false).length;
+    },
+
+    getSlotStyle: function(rect) {
+        return { left: `${rect.left}%`, top: `${rect.top}%`, width: `${rect.width}%`, height: `${rect.height}%` };
+    },
+
+    applySlotLayout: function(paired) {
+        this.getSlotRects(paired).forEach((rect, slot) => {
+            const slotFrame = this.getElement(`nextcloud-slot-${slot}`);
+            if (slotFrame) {
+                Object.assign(slotFrame.style, this.getSlotStyle(rect));
+            }
+        });
+    },
+
+    createBackgroundImage: function() {
+        const bgImg = document.createElement("img");
+        bgImg.id = this.getElementId("nextcloud-background-blur");
+        
+        // Add appropriate class based on fullscreen mode
+        const isFullscreen = this.data.position && this.data.position.indexOf("fullscreen") !== -1;
+        bgImg.className = isFullscreen ? "nextcloud-background-blur nextcloud-fullscreen" : "nextcloud-background-blur";
+        
+        bgImg.style.opacity = "0"; // Initially hidden
+        return bgImg;
+    },
+
+    /**
+     * DOM ids are prefixed with the module identifier, so several instances
+     * of this module can be shown at the same time.
+     */
+    getElementId: function(name) {
+        return `${this.identifier}-${name}`;
+    },
+
+    getElement: function(name) {
+        return document.getElementById(this.getElementId(name));
+    },
+
     getStyles: function() {
         return ["MMM-Nextcloud.css"];
     },
 
     notificationReceived: function(notification, payload, sender) {
+        // Control notifications may target a single instance by its identifier
+        if (notification.startsWith("NEXTCLOUD_") && payload?.identifier && payload.identifier !== this.identifier) {
+            return;
+        }
+
         switch (notification) {
             case "MODULE_DOM_CREATED":
                 if (this.config.startHidden) {
@@ -506,7 +1830,7 @@ Module.register("MMM-Nextcloud", {
                 break;
 
             case "NEXTCLOUD_PREVIOUS":
-                if (!this.config.random && this.imageList.length > 0) {
+                if (this.imageList.length > 0) {
                     if (this.updateTimer) clearTimeout(this.updateTimer);
                     this.loadNextImage("previous");
                     if (this.config.showStatusIcon) {
@@ -534,15 +1858,40 @@ Module.register("MMM-Nextcloud", {
             case "NEXTCLOUD_REFRESH_LIST":
                 this.requestImageList();
                 break;
+
+            case "NEXTCLOUD_SET_DATE_FILTER":
+                this.setDateFilter(payload?.dateFilter);
+                break;
+
+            case "NEXTCLOUD_QUERY_METADATA":
+                this.sendSocketNotification("QUERY_METADATA", {
+                    identifier: this.identifier,
+                    requestId: payload?.requestId,
+                    query: payload?.query
+                });
+                break;
         }
     },
 
     socketNotificationReceived: function(notification, payload) {
+        // The node helper is shared by all instances of this module
+        if (payload?.identifier !== this.identifier) {
+            return;
+        }
+
         switch (notification) {
             case "IMAGE_LIST_RECEIVED":
-                Log.info(`[${this.name}] Received image list with ${payload.length} images`);
-                this.imageList = payload;
+                Log.info(`[${this.name}] Received image list with ${payload.images.length} images`);
+                this.imageList = payload.images;
                 this.currentImageIndex = -1;
+                this.upcomingImages = [];
+                this.prefetchedImages.clear();
+                this.sortImageList();
+
+                // Sequential playback continues after the image shown last
+                if (!this.config.random && this.playbackState.lastImage) {
+                    this.currentImageIndex = this.imageList.findIndex(image => image.href === this.playbackState.lastImage);
+                }
                 
                 if (!this.config.startHidden && this.imageList.length > 0) {
                     this.resumeImageLoading(true);
@@ -552,9 +1901,46 @@ Module.register("MMM-Nextcloud", {
                 this.setupRefreshTimer();
                 break;
 
+            case "IMAGE_LIST_DELTA":
+                Log.info(`[${this.name}] Received image list update: ${payload.added.length} added, ${payload.changed.length} changed, ${payload.removed.length} removed`);
+                this.applyImageListDelta(payload);
+                this.scheduleImageListSort();
+                break;
+
             case "IMAGE_DATA_RECEIVED":
                 Log.debug(`[${this.name}] Received image data`);
-                this.displayImage(payload);
+                this.receiveImageData(payload);
+                break;
+
+            case "IMAGE_FAILED":
+                Log.warn(`[${this.name}] Failed to load image ${payload.filename}: ${payload.message}`);
+                this.skipFailedImage(payload.href);
+                break;
+
+            case "IMAGE_PREFETCHED":
+                Log.debug(`[${this.name}] Received prefetched image: ${payload.filename}`);
+                this.storePrefetchedImage(payload);
+                break;
+
+            case "IMAGE_LOCATION":
+                this.applyImageLocation(payload.href, payload.location);
+                break;
+
+            case "IMAGE_METADATA":
+                this.applyImageMetadata(payload.metadata);
+                this.scheduleImageListSort();
+                break;
+
+            case "PLAYBACK_STATE":
+                this.playbackState = payload.state;
+                break;
+
+            case "METADATA_QUERY_RESULT":
+                this.sendNotification("NEXTCLOUD_METADATA_RESULT", {
+                    identifier: this.identifier,
+                    requestId: payload.requestId,
+                    images: payload.images
+                });
                 break;
 
             case "ERROR":
@@ -568,8 +1954,101 @@ Module.register("MMM-Nextcloud", {
         }
     },
 
+    /**
+     * Stores metadata from the helper's background index (dateTaken, imageWidth,
+     * imageHeight, orientation, coordinates, camera) on the listed images.
+     * Planned images that left the onThisDay pool are dropped.
+     */
+    applyImageMetadata: function(metadata) {
+        for (const image of this.imageList) {
+            if (Object.prototype.hasOwnProperty.call(metadata, image.href)) {
+                Object.assign(image, metadata[image.href]);
+            }
+        }
+
+        // Capture dates and ratings may move images in or out of the pool
+        if (this.config.mode === "onThisDay" || this.config.dateFilter || this.config.minRating > 0) {
+            const pool = new Set(this.getImagePool().map(index => this.imageList[index].href));
+            this.upcomingImages = this.upcomingImages.filter(image => pool.has(image.href));
+        }
+    },
+
+    /**
+     * Adds a location name that arrived after its image, to the caption on
+     * screen or the prefetched image.
+     */
+    applyImageLocation: function(href, location) {
+        const prefetched = this.prefetchedImages.get(href);
+        if (prefetched && prefetched.exifData) {
+            prefetched.exifData = { ...prefetched.exifData, location: location };
+        }
+
+        if (this.currentImage && this.currentImage.href === href && this.currentImage.exifData) {
+            this.currentImage.exifData = { ...this.currentImage.exifData, location: location };
+            if (this.config.showExifData) {
+                this.updateExifDisplay(this.currentImage);
+            }
+        }
+    },
+
+    /**
+     * Merges an incremental list update into the current list while keeping
+     * the slideshow position on the image that is currently shown.
+     */
+    applyImageListDelta: function(delta) {
+        const removed = new Set(delta.removed);
+        const changed = new Map(delta.changed.map(image => [image.href, image]));
+        const wasEmpty = this.imageList.length === 0;
+        const updatedList = [];
+        let updatedIndex = -1;
+
+        this.imageList.forEach((image, index) => {
+            if (removed.has(image.href)) {
+                return;
+            }
+
+            // Follows the current image, or the last one before it if it was removed
+            if (index <= this.currentImageIndex) {
+                updatedIndex = updatedList.length;
+            }
+            updatedList.push(changed.get(image.href) || image);
+        });
+
+        this.imageList = updatedList.concat(delta.added);
+        this.currentImageIndex = updatedIndex;
+
+        // Planned images must still exist, changed ones are prefetched again
+        this.upcomingImages = this.upcomingImages
+            .filter(image => !removed.has(image.href))
+            .map(image => changed.get(image.href) || image);
+        for (const href of [...removed, ...changed.keys()]) {
+            this.prefetchedImages.delete(href);
+        }
+
+        // Removed images leave the shuffle bag; added ones join the running round.
+        // Images only hidden while Nextcloud is unreachable keep their state.
+        if (!delta.cachedOnly) {
+            const shuffleRemoved = (this.playbackState.shuffleShown || []).filter(href => removed.has(href));
+            if (shuffleRemoved.length > 0) {
+                this.playbackState.shuffleShown = this.playbackState.shuffleShown.filter(href => !removed.has(href));
+                this.sendPlaybackChange({ shuffleRemoved: shuffleRemoved });
+            }
+            const playsRemoved = [...removed].filter(href => this.playbackState.plays?.[href]);
+            for (const href of playsRemoved) {
+                delete this.playbackState.plays[href];
+            }
+            if (playsRemoved.length > 0) {
+                this.sendPlaybackChange({ playsRemoved: playsRemoved });
+            }
+        }
+
+        if (wasEmpty && !this.config.startHidden && this.imageList.length > 0) {
+            this.resumeImageLoading(true);
+        }
+    },
+
     showErrorMessage: function(message) {
-        const wrapper = document.getElementById("nextcloud");
+        const wrapper = this.getElement("nextcloud");
         if (!wrapper) return;
 
         // Clear existing content
@@ -1,325 +1,2174 @@
 const NodeHelper = require("node_helper");
 const Log = require("logger");
+const http = require("http");
 const https = require("https");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const exif = require("exif-parser");
 
+const DAV_NS = "DAV:";
+const OC_NS = "http://owncloud.org/ns";
+
+// Properties requested for every entry of a photo listing
+const PROPFIND_BODY = `<?xml version="1.0" encoding="UTF-8"?>
+<d:propfind xmlns:d="${DAV_NS}" xmlns:oc="${OC_NS}">
+    <d:prop>
+        <d:getlastmodified/>
+        <d:getcontenttype/>
+        <d:getcontentlength/>
+        <d:getetag/>
+        <oc:fileid/>
+        <oc:favorite/>
+        <d:resourcetype/>
+        <d:sync-token/>
+    </d:prop>
+</d:propfind>`;
+
+const CACHE_INDEX_FILE = "index.json";
+// Raised when cache entries gain fields or keys change, images of older indexes are downloaded again
+const CACHE_INDEX_VERSION = 3;
+const METADATA_INDEX_FILE = "metadata.json";
+// Raised when index entries gain fields or keys change, older indexes are read again
+const METADATA_INDEX_VERSION = 3;
+const DEFAULT_CACHE_MAX_BYTES = 256 * 1024 * 1024;
+
+// Path of a public share link, e.g. /s/<token> or /nextcloud/index.php/s/<token>
+const PUBLIC_SHARE_PATH = /^(?!.*\/(?:remote|public)\.php\/)(.*?)\/(?:index\.php\/)?s\/([A-Za-z0-9]+)\/?$/;
+
+// Bytes to read from the start of a file to get its EXIF data without downloading it
+const FILE_HEADER_BYTES = 256 * 1024;
+
+// The EXIF and XMP segments of a JPEG are limited to 64 KB each and come first
+const INDEX_HEADER_BYTES = 128 * 1024;
+
+const XMP_SIGNATURE = "http://ns.adobe.com/xap/1.0/\0";
+const IPTC_SIGNATURE = "Photoshop 3.0\0";
+const XMP_NS = "http://ns.adobe.com/xap/1.0/";
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+const RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+// Reverse geocoding results, shared by all instances
+const GEOCODE_CACHE_FILE = "geocode.json";
+// Coordinates are rounded to about 1 km for the geocoding cache
+const GEOCODE_COORDINATE_DECIMALS = 2;
+// The Nominatim usage policy allows one request per second
+const GEOCODE_REQUEST_INTERVAL = 1000;
+const GEOCODER_URLS = {
+    nominatim: "https://nominatim.openstreetmap.org",
+    photon: "https://photon.komoot.io"
+};
+// Place list for the offline geocoder, relative to the module, in the GeoNames cities format
+const OFFLINE_PLACES_FILE = path.join("geodata", "cities.txt");
+// Region names for the admin1 codes of the places, read from next to the place list
+const OFFLINE_REGIONS_FILE = "admin1CodesASCII.txt";
+// The offline geocoder names the nearest place only within this distance in km
+const OFFLINE_PLACE_MAX_DISTANCE = 50;
+
+// Playback state changes with every image, write it at most once a minute to spare SD cards
+const PLAYBACK_STATE_SAVE_DELAY = 60 * 1000;
+// The cache index changes with every image shown, write it at most once a minute as well
+const CACHE_INDEX_SAVE_DELAY = 60 * 1000;
+// The metadata index is written as a whole, while indexing at most every five minutes
+const METADATA_INDEX_SAVE_DELAY = 5 * 60 * 1000;
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
 /**
  * Modern Node Helper for MMM-RandomPhoto
  * Focused on Nextcloud integration with proper error handling
- * No express app dependency
+ * Serves cached images to the frontend through MagicMirror's express app
  */
 module.exports = NodeHelper.create({
     
     start: function() {
         Log.info(`[${this.name}] Node helper started`);
-        this.config = null;
-        this.imageCache = new Map(); // Cache for image data
-        this.isInitialized = false;
+        this.instances = new Map(); // Map of module identifier -> state of that module instance
+        this.cacheDirectory = path.join(this.path, "cache");
+        this.cacheIndexWrite = Promise.resolve();
+        this.cacheIndexSaveTimer = null;
+        this.loadCacheIndex(); // Map of cache key -> metadata of images on disk
+        this.imageRouteToken = crypto.randomBytes(16).toString("hex");
+        this.registerImageRoute();
+        this.pendingImageLoads = new Map(); // Map of cache key -> running image load
+        this.dataDirectory = path.join(this.path, "data");
+        this.dataFileWrites = new Map(); // Map of file name -> last pending write
+        const storedIndex = this.readDataFile(METADATA_INDEX_FILE);
+        this.metadataIndex = new Map(Object.entries(storedIndex?.version === METADATA_INDEX_VERSION ? storedIndex.entries : {})); // Map of href -> EXIF metadata
+        this.metadataIndexSaveTimer = null;
+        this.geocodeCache = new Map(Object.entries(this.readDataFile(GEOCODE_CACHE_FILE)?.entries || {})); // Map of lookup key -> location name or null
+        this.pendingGeocodes = new Map(); // Map of lookup key -> running lookup
+        this.geocodeQueue = Promise.resolve(); // Spaces requests by GEOCODE_REQUEST_INTERVAL
+        this.offlinePlaces = new Map(); // Map of place list path -> loading spatial index
     },
 
     socketNotificationReceived: function(notification, payload) {
         Log.debug(`[${this.name}] Received notification: ${notification}`);
+
+        if (notification === "INIT_CONFIG") {
+            this.handleConfigInit(payload);
+            return;
+        }
+
+        const instance = this.instances.get(payload?.identifier);
+        if (!instance) {
+            Log.error(`[${this.name}] Helper not initialized for ${payload?.identifier}, ignoring ${notification}`);
+            return;
+        }
         
         switch (notification) {
-            case "INIT_CONFIG":
-                this.handleConfigInit(payload);
-                break;
             case "FETCH_IMAGE_LIST":
-                this.fetchImageList();
+                this.fetchImageList(instance);
                 break;
             case "FETCH_IMAGE":
-                this.fetchImageData(payload);
+                this.fetchImageData(instance, payload.image);
+                break;
+            case "PREFETCH_IMAGES":
+                this.prefetchImages(instance, payload.images);
+                break;
+            case "QUERY_METADATA":
+                this.queryMetadata(instance, payload.requestId, payload.query);
+                break;
+            case "UPDATE_PLAYBACK_STATE":
+                this.updatePlaybackState(instance, payload.change);
+                break;
+            case "UPDATE_CONFIG":
+                this.updateConfig(instance, payload.config);
                 break;
             default:
                 Log.warn(`[${this.name}] Unknown notification: ${notification}`);
         }
     },
 
-    handleConfigInit: function(config) {
+    /**
+     * Sends a socket notification tagged with the module instance it is meant for.
+     * Every instance receives all notifications and only handles its own.
+     * Work still running for a configuration that INIT_CONFIG replaced, e.g. of
+     * the previous schedule profile, sends nothing anymore.
+     */
+    sendInstanceNotification: function(instance, notification, payload = {}) {
+        if (this.instances.get(instance.identifier) !== instance) {
+            Log.debug(`[${this.name}] Dropping ${notification} of a replaced configuration of ${instance.identifier}`);
+            return;
+        }
+
+        this.sendSocketNotification(notification, { ...payload, identifier: instance.identifier });
+    },
+
+    handleConfigInit: function(payload) {
+        // A (re)started frontend always needs a complete listing, so state starts fresh
+        const instance = {
+            identifier: payload.identifier,
+            config: { ...payload.config },
+            sources: [],
+            playbackState: {}, // Frontend state kept across restarts
+            playbackStateTimer: null,
+            listSent: false, // Whether the frontend received an image list yet
+            listFetchInProgress: false,
+            indexingInProgress: false,
+            prefetchQueue: [],
+            activePrefetches: 0
+        };
+
+        // A reloaded frontend must find the state its previous run left behind.
+        // The previous instance holds the latest state, its file may still be
+        // waiting for a write.
+        const previousInstance = this.instances.get(payload.identifier);
+        if (previousInstance) {
+            this.flushPlaybackState(previousInstance);
+        }
+        this.instances.set(instance.identifier, instance);
+
         try {
-            this.config = { ...config };
-            this.isInitialized = true;
-            Log.info(`[${this.name}] Configuration initialized successfully`);
+            instance.sources = this.createSources(instance.config);
+            instance.playbackState = previousInstance
+                ? previousInstance.playbackState
+                : this.readDataFile(this.getPlaybackStateFileName(instance)) || {};
+            this.sendInstanceNotification(instance, "PLAYBACK_STATE", { state: instance.playbackState });
+            Log.info(`[${this.name}] Configuration initialized successfully for ${instance.identifier}`);
             
             // Validate essential configuration
-            this.validateConfiguration();
+            this.validateConfiguration(instance);
         } catch (error) {
             Log.error(`[${this.name}] Failed to initialize configuration: ${error.message}`);
-            this.sendSocketNotification("ERROR", { 
+            this.sendInstanceNotification(instance, "ERROR", { 
                 message: "Configuration initialization failed",
                 details: error.message 
             });
         }
     },
 
-    validateConfiguration: function() {
-        if (!this.config.repositoryConfig?.path) {
-            throw new Error("No repository path configured");
+    /**
+     * Creates the listing state of every photo source of an instance. Without a
+     * sources array the repositoryConfig is the only source.
+     */
+    createSources: function(config) {
+        const sourceConfigs = Array.isArray(config.sources) && config.sources.length > 0 ? config.sources : [config.repositoryConfig || {}];
+
+        return sourceConfigs.map((sourceConfig, index) => ({
+            index: index,
+            name: sourceConfig.name || null,
+            label: sourceConfig.name || sourceConfig.path || `source ${index + 1}`, // Used in log messages
+            config: this.resolvePublicShare(sourceConfig),
+            listing: null, // Map of href -> image metadata of the last listing
+            cachedListing: null, // Map of href -> image offered from the disk cache while Nextcloud is unreachable
+            folders: new Map(), // Map of relative folder path -> folder metadata (ETag)
+            syncToken: null, // RFC 6578 sync token of the repository collection
+            excludedHrefs: new Set(), // Hrefs of files carrying one of the excludeTags
+            depthInfinityRejected: false
+        }));
+    },
+
+    /**
+     * Turns a public share link into the public WebDAV endpoint of the share
+     * (/public.php/dav/files/<token>, Nextcloud 29 and later) and remembers the
+     * share token. Other source configurations are returned unchanged.
+     */
+    resolvePublicShare: function(sourceConfig) {
+        let shareUrl;
+        try {
+            shareUrl = new URL(sourceConfig.path);
+        } catch {
+            // Missing or invalid paths are reported by validateConfiguration
+            return sourceConfig;
         }
 
-        if (!this.config.repositoryConfig?.username || !this.config.repositoryConfig?.password) {
-            throw new Error("No authentication credentials provided");
+        const match = shareUrl.pathname.match(PUBLIC_SHARE_PATH);
+        if (!match) {
+            return sourceConfig;
         }
 
-        try {
-            new URL(this.config.repositoryConfig.path);
-        } catch (error) {
-            throw new Error(`Invalid repository URL: ${this.config.repositoryConfig.path}`);
+        return {
+            ...sourceConfig,
+            path: new URL(`${match[1]}/public.php/dav/files/${match[2]}/`, shareUrl.origin).toString(),
+            shareToken: match[2]
+        };
+    },
+
+    /**
+     * Returns the source an image was listed from. Images without a known
+     * source belong to the first one.
+     */
+    getImageSource: function(instance, image) {
+        return instance.sources[image.source] || instance.sources[0];
+    },
+
+    validateConfiguration: function(instance) {
+        for (const source of instance.sources) {
+            const prefix = instance.sources.length > 1 ? `Source ${source.label}: ` : "";
+
+            if (!source.config.path) {
+                throw new Error(`${prefix}No repository path configured`);
+            }
+
+            // Public shares need no account, only protected ones a password
+            if (!source.config.shareToken && (!source.config.username || !source.config.password)) {
+                throw new Error(`${prefix}No authentication credentials provided`);
+            }
+
+            try {
+                new URL(source.config.path);
+            } catch (error) {
+                throw new Error(`${prefix}Invalid repository URL: ${source.config.path}`);
+            }
         }
     },
 
-    fetchImageList: function() {
-        if (!this.isInitialized) {
-            Log.error(`[${this.name}] Helper not initialized, cannot fetch image list`);
+    /**
+     * Lists all sources of an instance in parallel. Failing sources only
+     * produce an error on screen when no source has images to show, so a
+     * failed refresh keeps the slideshow running with the images listed before.
+     */
+    fetchImageList: function(instance) {
+        if (instance.listFetchInProgress) {
+            Log.debug(`[${this.name}] Image list fetch already in progress, skipping request`);
             return;
         }
 
-        Log.info(`[${this.name}] Fetching image list from Nextcloud...`);
-        this.sendSocketNotification("FETCH_PROGRESS", { message: "Connecting to Nextcloud..." });
+        instance.listFetchInProgress = true;
 
-        const url = this.config.repositoryConfig.path;
-        const auth = this.createAuthHeader();
-        
-        const requestOptions = {
-            method: "PROPFIND",
-            headers: {
-                "Authorization": auth,
-                "Depth": this.config.repositoryConfig.recursive ? "infinity" : "1",
-                "Content-Type": "application/xml"
-            },
-            timeout: 30000 // 30 second timeout
+        Promise.allSettled(instance.sources.map(source => this.fetchSourceImageList(instance, source)))
+            .then(results => {
+                const failures = results.filter(result => result.status === "rejected").map(result => result.reason);
+                const imageCount = results.reduce((count, result, index) => {
+                    return count + (result.status === "fulfilled" ? result.value : instance.sources[index].listing?.size || 0);
+                }, 0);
+
+                if (imageCount === 0 && failures.length === results.length) {
+                    this.sendInstanceNotification(instance, "ERROR", {
+                        message: "Failed to fetch image list from Nextcloud",
+                        details: failures.map(error => error.message).join("; ")
+                    });
+                } else if (imageCount === 0) {
+                    Log.warn(`[${this.name}] No images found in the specified path`);
+                    this.sendInstanceNotification(instance, "ERROR", { 
+                        message: "No images found in the specified Nextcloud path" 
+                    });
+                } else if (failures.length < results.length && this.needsMetadataIndex(instance)) {
+                    this.indexImageMetadata(instance).catch(error => {
+                        Log.warn(`[${this.name}] Indexing image metadata failed: ${error.message}`);
+                    });
+                }
+            })
+            .finally(() => {
+                instance.listFetchInProgress = false;
+            });
+    },
+
+    /**
+     * Whether the metadata index has to cover all listed images of an instance.
+     */
+    needsMetadataIndex: function(instance) {
+        const orderByDate = !instance.config.random && ["dateTaken", "newestFirst", "folderThenDate"].includes(instance.config.order);
+        return Boolean(instance.config.indexMetadata) || instance.config.mode === "onThisDay" || Boolean(instance.config.dateFilter) || instance.config.minRating > 0 || orderByDate || instance.config.layout === "portraitPair";
+    },
+
+    /**
+     * Takes options changed at runtime, e.g. by a date filter or a schedule
+     * profile. Photo sources only change with INIT_CONFIG. Options that need
+     * capture dates start indexing if nothing else asked for them yet.
+     */
+    updateConfig: function(instance, config) {
+        instance.config = { ...config };
+
+        if (instance.listSent && this.needsMetadataIndex(instance)) {
+            this.indexImageMetadata(instance).catch(error => {
+                Log.warn(`[${this.name}] Indexing image metadata failed: ${error.message}`);
+            });
+        }
+    },
+
+    /**
+     * Background pass reading the EXIF metadata of every listed image from the
+     * first bytes of the file. Images whose ETag did not change since they were
+     * indexed are not requested again. Metadata is sent to the frontend in
+     * batches, starting with what is already known.
+     */
+    indexImageMetadata: async function(instance) {
+        if (instance.indexingInProgress) {
+            return;
+        }
+
+        instance.indexingInProgress = true;
+
+        try {
+            const images = this.getListedImages(instance);
+            const knownMetadata = {};
+            const pendingImages = [];
+
+            for (const image of images) {
+                const indexed = this.metadataIndex.get(image.href);
+                if (indexed && indexed.etag === image.etag) {
+                    knownMetadata[image.href] = this.createImageMetadata(indexed);
+                } else {
+                    pendingImages.push(image);
+                }
+            }
+
+            if (Object.keys(knownMetadata).length > 0) {
+                this.sendInstanceNotification(instance, "IMAGE_METADATA", { metadata: knownMetadata });
+            }
+
+            if (pendingImages.length === 0) {
+                return;
+            }
+
+            Log.info(`[${this.name}] Indexing metadata of ${pendingImages.length} images...`);
+            const concurrency = Math.max(1, instance.config.indexConcurrency || 2);
+            let batch = {};
+
+            const sendBatch = () => {
+                if (Object.keys(batch).length > 0) {
+                    this.sendInstanceNotification(instance, "IMAGE_METADATA", { metadata: batch });
+                    this.scheduleMetadataIndexSave();
+                    batch = {};
+                }
+            };
+
+            const indexNext = async () => {
+                while (pendingImages.length > 0) {
+                    const image = pendingImages.shift();
+                    const entry = await this.readImageMetadata(instance, image);
+
+                    if (entry) {
+                        batch[image.href] = this.createImageMetadata(entry);
+                    }
+                    if (Object.keys(batch).length >= 50) {
+                        sendBatch();
+                    }
+                }
+            };
+
+            await Promise.all(Array.from({ length: concurrency }, indexNext));
+            sendBatch();
+            if (this.metadataIndexSaveTimer) {
+                this.saveMetadataIndex();
+            }
+            Log.info(`[${this.name}] Metadata index complete with ${this.metadataIndex.size} images`);
+        } finally {
+            instance.indexingInProgress = false;
+        }
+    },
+
+    getListedImages: function(instance) {
+        return instance.sources.flatMap(source => source.listing ? [...source.listing.values()] : []);
+    },
+
+    /**
+     * Reads the EXIF metadata from the header of an image into the index.
+     * Resolves with the index entry, or null if the header could not be read,
+     * in which case the image is tried again on the next pass.
+     */
+    readImageMetadata: async function(instance, image) {
+        const source = this.getImageSource(instance, image);
+        const header = await this.fetchFileHeader(source, new URL(image.href, source.config.path).toString(), {}, INDEX_HEADER_BYTES);
+        if (!header) {
+            return null;
+        }
+
+        const entry = {
+            etag: image.etag,
+            dateTaken: null,
+            imageWidth: null,
+            imageHeight: null,
+            orientation: null,
+            coordinates: null,
+            camera: null,
+            title: null,
+            description: null,
+            keywords: [],
+            rating: null
+        };
+
+        try {
+            const result = exif.create(header.body).parse();
+            const tags = result.tags || {};
+            // The image size follows the EXIF data and may be beyond the header
+            const imageSize = result.imageSize || { width: tags.ExifImageWidth, height: tags.ExifImageHeight };
+
+            if (tags.DateTimeOriginal) {
+                entry.dateTaken = new Date(tags.DateTimeOriginal * 1000).toISOString();
+            }
+            entry.imageWidth = imageSize.width || null;
+            entry.imageHeight = imageSize.height || null;
+            entry.orientation = tags.Orientation || null;
+            if (tags.GPSLatitude && tags.GPSLongitude) {
+                entry.coordinates = { latitude: tags.GPSLatitude, longitude: tags.GPSLongitude };
+            }
+            if (tags.Make || tags.Model) {
+                entry.camera = `${tags.Make || ""} ${tags.Model || ""}`.trim();
+            }
+            entry.rating = tags.Rating ?? null;
+        } catch (error) {
+            Log.debug(`[${this.name}] No EXIF data in header of ${image.filename}: ${error.message}`);
+        }
+
+        Object.assign(entry, this.readEmbeddedDescriptions(header.body, entry.rating));
+
+        this.metadataIndex.set(image.href, entry);
+        return entry;
+    },
+
+    /**
+     * The metadata of an index entry as merged into the images of the frontend.
+     */
+    createImageMetadata: function(entry) {
+        // Orientations 5 to 8 turn the photo by 90°, the frontend gets the size as shown
+        const turned = entry.orientation >= 5;
+
+        return {
+            dateTaken: entry.dateTaken,
+            imageWidth: turned ? entry.imageHeight : entry.imageWidth,
+            imageHeight: turned ? entry.imageWidth : entry.imageHeight,
+            orientation: entry.orientation,
+            coordinates: entry.coordinates,
+            camera: entry.camera,
+            title: entry.title,
+            description: entry.description,
+            keywords: entry.keywords,
+            rating: entry.rating
         };
+    },
 
-        const request = https.request(url, requestOptions, (response) => {
-            this.handleImageListResponse(response);
+    /**
+     * Answers a metadata query of the frontend with the matching listed images,
+     * merged with their indexed metadata. Supported query keys are from and to
+     * (capture dates), near ({ latitude, longitude, radius } in km), camera
+     * (text contained in the camera name), sort (dateTaken, filename or
+     * lastModified, prefixed with "-" for descending) and limit. Invalid keys
+     * are ignored with a warning.
+     */
+    queryMetadata: function(instance, requestId, query) {
+        const { from, to, near, camera, sort, limit } = this.parseMetadataQuery(query);
+
+        let images = this.getListedImages(instance).map(image => {
+            const indexed = this.metadataIndex.get(image.href);
+            return indexed && indexed.etag === image.etag ? { ...image, ...this.createImageMetadata(indexed) } : image;
         });
 
-        request.on("error", (error) => {
-            Log.error(`[${this.name}] Network error while fetching image list: ${error.message}`);
-            this.sendSocketNotification("ERROR", { 
-                message: "Failed to connect to Nextcloud",
-                details: error.message 
-            });
+        images = images.filter(image => {
+            if ((from || to) && !image.dateTaken) {
+                return false;
+            }
+            if ((from && image.dateTaken < from) || (to && image.dateTaken > to)) {
+                return false;
+            }
+            if (camera && !(image.camera || "").toLowerCase().includes(camera)) {
+                return false;
+            }
+            if (near) {
+                return Boolean(image.coordinates) && this.getDistance(near, image.coordinates) <= near.radius;
+            }
+            return true;
         });
 
-        request.on("timeout", () => {
-            Log.error(`[${this.name}] Request timeout while fetching image list`);
-            request.destroy();
-            this.sendSocketNotification("ERROR", { 
-                message: "Request timeout - Nextcloud server not responding" 
+        if (sort) {
+            const descending = sort.startsWith("-");
+            const key = sort.replace(/^-/, "");
+
+            // Images without a value go last in both directions
+            images.sort((a, b) => {
+                if (a[key] === b[key]) {
+                    return 0;
+                }
+                if (a[key] === null || a[key] === undefined) {
+                    return 1;
+                }
+                if (b[key] === null || b[key] === undefined) {
+                    return -1;
+                }
+                return (a[key] < b[key] ? -1 : 1) * (descending ? -1 : 1);
             });
-        });
+        }
+
+        if (limit) {
+            images = images.slice(0, limit);
+        }
 
-        request.end();
+        this.sendInstanceNotification(instance, "METADATA_QUERY_RESULT", { requestId: requestId, images: images });
     },
 
-    handleImageListResponse: function(response) {
-        let body = "";
-        
-        response.on("data", (chunk) => {
-            body += chunk;
-        });
+    /**
+     * Checks the keys of a metadata query sent by another module. Returns them
+     * normalized, with null for missing and invalid keys.
+     */
+    parseMetadataQuery: function(query) {
+        const parsed = { from: null, to: null, near: null, camera: null, sort: null, limit: null };
+        if (!query || typeof query !== "object") {
+            return parsed;
+        }
+
+        const invalid = [];
+        const parseDate = key => {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                invalid.push(key);
+                return null;
+            }
+            return date.toISOString();
+        };
+
+        if (query.from) {
+            parsed.from = parseDate("from");
+        }
+        if (query.to) {
+            parsed.to = parseDate("to");
+        }
+
+        if (query.near) {
+            const { latitude, longitude, radius } = query.near;
+            if (Number.isFinite(latitude) && Number.isFinite(longitude) && (radius === undefined || (Number.isFinite(radius) && radius > 0))) {
+                parsed.near = { latitude: latitude, longitude: longitude, radius: radius || 10 };
+            } else {
+                invalid.push("near");
+            }
+        }
+
+        if (query.camera) {
+            parsed.camera = String(query.camera).toLowerCase();
+        }
+
+        if (query.sort) {
+            if (typeof query.sort === "string" && /^-?(dateTaken|filename|lastModified)$/.test(query.sort)) {
+                parsed.sort = query.sort;
+            } else {
+                invalid.push("sort");
+            }
+        }
+
+        if (query.limit !== undefined && query.limit !== null) {
+            if (Number.isInteger(query.limit) && query.limit > 0) {
+                parsed.limit = query.limit;
+            } else {
+                invalid.push("limit");
+            }
+        }
+
+        if (invalid.length > 0) {
+            Log.warn(`[${this.name}] Ignoring invalid metadata query keys: ${invalid.join(", ")}`);
+        }
+
+        return parsed;
+    },
+
+    /**
+     * Great-circle distance between two coordinates in kilometers.
+     */
+    getDistance: function(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const latitudeDelta = toRadians(to.latitude - from.latitude);
+        const longitudeDelta = toRadians(to.longitude - from.longitude);
+        const a = Math.sin(latitudeDelta / 2) ** 2 +
+            Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     * Lists or refreshes one source and resolves with the number of images it
+     * provides. Rejects when the source could not be listed. A source offered
+     * from the cache is refreshed against the cached images once Nextcloud is
+     * back, so the frontend gets the difference.
+     */
+    fetchSourceImageList: async function(instance, source) {
+        try {
+            if (source.listing || source.cachedListing) {
+                await this.refreshImageList(instance, source);
+            } else {
+                await this.fetchFullImageList(instance, source);
+            }
+            return source.listing.size;
+        } catch (error) {
+            // Network errors carry no status code, keep the slideshow going from the cache
+            if (!error.statusCode) {
+                const cachedImageCount = this.sendCachedImageList(instance, source);
+                if (cachedImageCount > 0) {
+                    return cachedImageCount;
+                }
+                if (source.listing) {
+                    Log.warn(`[${this.name}] Nextcloud not reachable (${error.message}), keeping the image list of ${source.label}`);
+                    return source.listing.size;
+                }
+            }
+
+            Log.error(`[${this.name}] Failed to fetch image list of ${source.label}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Sends newly listed images to the frontend. The first images of an instance
+     * are sent as its image list, everything after that as additions to it.
+     */
+    sendListedImages: function(instance, images) {
+        if (images.length === 0) {
+            return;
+        }
+
+        if (!instance.listSent) {
+            instance.listSent = true;
+            this.sendInstanceNotification(instance, "IMAGE_LIST_RECEIVED", { images: images });
+        } else {
+            this.sendInstanceNotification(instance, "IMAGE_LIST_DELTA", { added: images, changed: [], removed: [] });
+        }
+    },
+
+    fetchFullImageList: async function(instance, source) {
+        Log.info(`[${this.name}] Fetching image list of ${source.label} from Nextcloud...`);
+        this.sendInstanceNotification(instance, "FETCH_PROGRESS", { message: "Connecting to Nextcloud..." });
+
+        await this.resolveExcludedTags(source);
+
+        if (this.usesFilterReport(source)) {
+            source.listing = await this.listFilteredImages(source);
+            source.folders = new Map();
+            source.syncToken = null;
+
+            Log.info(`[${this.name}] Successfully found ${source.listing.size} tagged images in ${source.label}`);
+            this.sendListedImages(instance, [...source.listing.values()]);
+            return;
+        }
+
+        const repositoryConfig = source.config;
+        if (repositoryConfig.recursive && (source.depthInfinityRejected || Number.isInteger(repositoryConfig.maxDepth))) {
+            await this.crawlImageList(instance, source);
+            return;
+        }
+
+        let response;
+        try {
+            response = await this.sendWebdavRequest(source, "PROPFIND", repositoryConfig.path, {
+                headers: { "Depth": repositoryConfig.recursive ? "infinity" : "1" },
+                body: PROPFIND_BODY
+            });
+        } catch (error) {
+            // Authentication and path errors would hit the crawler just the same
+            if (!repositoryConfig.recursive || !error.statusCode || [401, 404].includes(error.statusCode)) {
+                throw error;
+            }
+
+            Log.info(`[${this.name}] Depth: infinity rejected (${error.message}), crawling folders instead`);
+            source.depthInfinityRejected = true;
+            await this.crawlImageList(instance, source);
+            return;
+        }
+
+        const listing = this.parseImageListFromResponse(source, response.body);
+
+        source.listing = new Map(listing.images.map(image => [image.href, image]));
+        source.folders = new Map(listing.folders.map(folder => [folder.filename, folder]));
+        source.syncToken = listing.syncToken;
+
+        Log.info(`[${this.name}] Successfully found ${listing.images.length} images in ${source.label}`);
+        this.sendListedImages(instance, listing.images);
+    },
+
+    /**
+     * Updates the known listing with as few requests as possible and sends the
+     * difference to the frontend. Uses the RFC 6578 sync-collection report when the
+     * server handed out a sync token, otherwise walks only folders whose ETag changed.
+     */
+    refreshImageList: async function(instance, source) {
+        Log.info(`[${this.name}] Refreshing image list of ${source.label} from Nextcloud...`);
+
+        // Images offered from the cache are what the frontend has
+        const previousListing = source.cachedListing || source.listing;
+        let updated = false;
+
+        // Tags do not change ETags, so tag filters are evaluated again every time
+        if (this.usesFilterReport(source)) {
+            await this.resolveExcludedTags(source);
+            source.listing = await this.listFilteredImages(source);
+            updated = true;
+        } else if (await this.resolveExcludedTags(source)) {
+            Log.info(`[${this.name}] Excluded tags changed, listing all folders of ${source.label} again`);
+            source.folders = new Map();
+            source.syncToken = null;
+        }
 
-        response.on("end", () => {
+        if (!updated && source.syncToken) {
             try {
-                if (response.statusCode >= 400) {
-                    throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+                await this.syncImageList(source);
+                updated = true;
+            } catch (error) {
+                Log.info(`[${this.name}] sync-collection not usable (${error.message}), comparing folder ETags instead`);
+                source.syncToken = null;
+            }
+        }
+
+        if (!updated) {
+            await this.refreshChangedFolders(source);
+        }
+
+        const delta = this.createListingDelta(previousListing, source.listing);
+        source.cachedListing = null;
+
+        if (delta.added.length === 0 && delta.changed.length === 0 && delta.removed.length === 0) {
+            Log.info(`[${this.name}] Image list unchanged`);
+            return;
+        }
+
+        Log.info(`[${this.name}] Image list of ${source.label} changed: ${delta.added.length} added, ${delta.changed.length} changed, ${delta.removed.length} removed`);
+
+        // Until a source has images there may be no list in the frontend to update
+        if (!instance.listSent) {
+            this.sendListedImages(instance, [...source.listing.values()]);
+            return;
+        }
+
+        this.sendInstanceNotification(instance, "IMAGE_LIST_DELTA", delta);
+    },
+
+    syncImageList: async function(source) {
+        const body = `<?xml version="1.0" encoding="UTF-8"?>
+<d:sync-collection xmlns:d="${DAV_NS}" xmlns:oc="${OC_NS}">
+    <d:sync-token>${this.escapeXml(source.syncToken)}</d:sync-token>
+    <d:sync-level>${source.config.recursive ? "infinite" : "1"}</d:sync-level>
+    ${PROPFIND_BODY.match(/<d:prop>[\s\S]*<\/d:prop>/)[0]}
+</d:sync-collection>`;
+
+        const response = await this.sendWebdavRequest(source, "REPORT", source.config.path, {
+            headers: { "Depth": "0" },
+            body: body
+        });
+        const changes = this.parseImageListFromResponse(source, response.body);
+
+        if (!changes.syncToken) {
+            throw new Error("Server did not return a new sync token");
+        }
+
+        const listing = new Map(source.listing);
+
+        for (const removedFilename of changes.removed) {
+            this.removeFromListing(source.folders, listing, removedFilename);
+        }
+        for (const folder of changes.folders) {
+            source.folders.set(folder.filename, folder);
+        }
+        for (const image of changes.images) {
+            listing.set(image.href, image);
+        }
+
+        source.listing = listing;
+        source.syncToken = changes.syncToken;
+    },
+
+    /**
+     * Whether the images of a source are selected by system tags or favorites,
+     * which takes oc:filter-files reports instead of folder listings.
+     */
+    usesFilterReport: function(source) {
+        return (source.config.tags || []).length > 0 || Boolean(source.config.favoritesOnly);
+    },
+
+    /**
+     * Lists the images having any of the configured tags, or the favorites.
+     * With both, images have to be tagged favorites.
+     */
+    listFilteredImages: async function(source) {
+        const favoriteRule = source.config.favoritesOnly ? "<oc:favorite>1</oc:favorite>" : "";
+        const tags = source.config.tags || [];
+        const ruleSets = [];
+
+        if (tags.length > 0) {
+            const tagIds = await this.resolveTagIds(source, tags);
+            for (const tagId of tagIds) {
+                ruleSets.push(`<oc:systemtag>${this.escapeXml(tagId)}</oc:systemtag>${favoriteRule}`);
+            }
+        } else {
+            ruleSets.push(favoriteRule);
+        }
+
+        const listing = new Map();
+
+        // Nextcloud combines filter rules with AND, so every tag takes a report of its own
+        for (const filterRules of ruleSets) {
+            const response = await this.sendFilterFilesReport(source, filterRules);
+
+            for (const image of this.parseImageListFromResponse(source, response.body).images) {
+                // Reports cover all sub folders
+                if (source.config.recursive || !image.filename.includes("/")) {
+                    listing.set(image.href, image);
+                }
+            }
+        }
+
+        return listing;
+    },
+
+    /**
+     * Looks up the files carrying any of the tags in excludeTags. Resolves with
+     * true if they differ from the previous lookup.
+     */
+    resolveExcludedTags: async function(source) {
+        const excludeTags = source.config.excludeTags || [];
+        if (excludeTags.length === 0) {
+            return false;
+        }
+
+        const excludedHrefs = new Set();
+
+        for (const tagId of await this.resolveTagIds(source, excludeTags)) {
+            const response = await this.sendFilterFilesReport(source, `<oc:systemtag>${this.escapeXml(tagId)}</oc:systemtag>`);
+            for (const entry of this.parseMultistatus(response.body).responses) {
+                const file = this.createFileMetadata(source, entry);
+                if (file) {
+                    excludedHrefs.add(file.href);
                 }
+            }
+        }
+
+        const changed = excludedHrefs.size !== source.excludedHrefs.size || [...excludedHrefs].some(href => !source.excludedHrefs.has(href));
+        source.excludedHrefs = excludedHrefs;
+        return changed;
+    },
+
+    sendFilterFilesReport: function(source, filterRules) {
+        const body = `<?xml version="1.0" encoding="UTF-8"?>
+<oc:filter-files xmlns:d="${DAV_NS}" xmlns:oc="${OC_NS}">
+    ${PROPFIND_BODY.match(/<d:prop>[\s\S]*<\/d:prop>/)[0]}
+    <oc:filter-rules>
+        ${filterRules}
+    </oc:filter-rules>
+</oc:filter-files>`;
+
+        return this.sendWebdavRequest(source, "REPORT", source.config.path, {
+            body: body
+        });
+    },
+
+    /**
+     * Translates system tag names into their ids, using the systemtags collection
+     * next to the files collection. Unknown tags are skipped with a warning.
+     */
+    resolveTagIds: async function(source, tagNames) {
+        if (source.config.shareToken) {
+            throw new Error("Tags and favorites are not available for public shares");
+        }
+
+        const repositoryUrl = new URL(source.config.path);
+        const davIndex = repositoryUrl.pathname.indexOf("/remote.php/dav/");
+        if (davIndex === -1) {
+            throw new Error("Tags and favorites need a /remote.php/dav/files/ repository path");
+        }
+
+        const systemTagsUrl = new URL(`${repositoryUrl.pathname.slice(0, davIndex)}/remote.php/dav/systemtags/`, repositoryUrl.origin);
+        const response = await this.sendWebdavRequest(source, "PROPFIND", systemTagsUrl.toString(), {
+            headers: { "Depth": "1" },
+            body: `<?xml version="1.0" encoding="UTF-8"?>
+<d:propfind xmlns:d="${DAV_NS}" xmlns:oc="${OC_NS}">
+    <d:prop>
+        <oc:id/>
+        <oc:display-name/>
+    </d:prop>
+</d:propfind>`
+        });
+
+        const tagIds = new Map(); // Map of lower case tag name -> tag id
+        for (const entry of this.parseMultistatus(response.body).responses) {
+            const id = entry.props[`{${OC_NS}}id`];
+            const displayName = entry.props[`{${OC_NS}}display-name`];
+            if (id && displayName) {
+                tagIds.set(displayName.text.trim().toLowerCase(), id.text.trim());
+            }
+        }
+
+        return tagNames.filter(tagName => {
+            if (!tagIds.has(String(tagName).toLowerCase())) {
+                Log.warn(`[${this.name}] Unknown tag "${tagName}" in ${source.label}`);
+                return false;
+            }
+            return true;
+        }).map(tagName => tagIds.get(String(tagName).toLowerCase()));
+    },
+
+    /**
+     * Lists the repository folder by folder with Depth: 1 requests, for servers
+     * that refuse Depth: infinity or when maxDepth limits the recursion.
+     * Images are sent to the frontend as soon as the first folders are listed.
+     */
+    crawlImageList: async function(instance, source) {
+        const listing = new Map();
+        const folders = new Map();
+        let foldersListed = 0;
+        let foldersFound = 1;
+
+        source.syncToken = null;
+
+        await this.crawlFolders(source, [""], async folderName => {
+            const content = await this.listFolder(source, folders, folderName);
+            if (content.skipped) {
+                this.forgetFolderEtags(folders, new Map(), folderName);
+                return [];
+            }
+
+            const subfolders = content.folders.filter(folder => folder.filename !== folderName);
+
+            for (const folder of content.folders) {
+                folders.set(folder.filename, folder);
+            }
+            for (const image of content.images) {
+                listing.set(image.href, image);
+            }
+
+            const crawledSubfolders = subfolders.map(folder => folder.filename).filter(name => this.isFolderIncluded(source, name, true));
+            foldersListed++;
+            foldersFound += crawledSubfolders.length;
+
+            this.sendInstanceNotification(instance, "FETCH_PROGRESS", {
+                message: `Listed ${foldersListed} of ${foldersFound} folders, found ${listing.size} images...`,
+                foldersListed: foldersListed,
+                foldersFound: foldersFound,
+                images: listing.size
+            });
+
+            this.sendListedImages(instance, content.images);
+
+            return crawledSubfolders;
+        });
+
+        source.listing = listing;
+        source.folders = folders;
+
+        Log.info(`[${this.name}] Successfully found ${listing.size} images in ${foldersListed} folders of ${source.label}`);
+    },
+
+    /**
+     * Lists again the folders whose ETag changed since the last listing. The
+     * listing and the folder ETags are only kept once the whole walk succeeded,
+     * so a failed refresh is repeated in full the next time.
+     */
+    refreshChangedFolders: async function(source) {
+        const rootResponse = await this.sendWebdavRequest(source, "PROPFIND", source.config.path, {
+            headers: { "Depth": "0" },
+            body: PROPFIND_BODY
+        });
+        const root = this.parseImageListFromResponse(source, rootResponse.body).folders.find(folder => folder.filename === "");
+
+        if (root && root.etag && root.etag === source.folders.get("")?.etag) {
+            return;
+        }
+
+        const listing = new Map(source.listing);
+        const folders = new Map(source.folders);
+
+        await this.crawlFolders(source, [""], async folderName => {
+            Log.debug(`[${this.name}] Folder changed, listing again: /${folderName}`);
+            const content = await this.listFolder(source, folders, folderName);
+            if (content.skipped) {
+                // Images and sub folders stay as they were until the folder can be listed
+                this.forgetFolderEtags(folders, source.folders, folderName);
+                return [];
+            }
+
+            const subfolders = new Set();
+            const changedSubfolders = [];
+
+            // Forget images directly inside this folder, the listing below is authoritative
+            for (const [href, image] of listing) {
+                if (this.getParentFolder(image.filename) === folderName) {
+                    listing.delete(href);
+                }
+            }
+
+            for (const image of content.images) {
+                listing.set(image.href, image);
+            }
+
+            for (const folder of content.folders) {
+                if (folder.filename === folderName) {
+                    folders.set(folder.filename, folder);
+                    continue;
+                }
+
+                subfolders.add(folder.filename);
+                const knownFolder = folders.get(folder.filename);
+                folders.set(folder.filename, folder);
+
+                const crawled = source.config.recursive && this.isFolderIncluded(source, folder.filename, true);
+                if (crawled && (!knownFolder || knownFolder.etag !== folder.etag)) {
+                    changedSubfolders.push(folder.filename);
+                }
+            }
+
+            // Drop sub folders that disappeared together with their content
+            for (const knownFolder of [...folders.keys()]) {
+                if (knownFolder && this.getParentFolder(knownFolder) === folderName && !subfolders.has(knownFolder)) {
+                    this.removeFromListing(folders, listing, knownFolder);
+                }
+            }
+
+            return changedSubfolders;
+        });
+
+        source.listing = listing;
+        source.folders = folders;
+    },
+
+    /**
+     * Lists one folder of the repository (Depth: 1). The repository folder is "".
+     * Failing sub folders are skipped with a warning and give an empty result
+     * marked skipped, so one unreadable share does not break the whole listing.
+     * folders is the folder map the walk builds, which knows the href of every
+     * folder found so far.
+     */
+    listFolder: async function(source, folders, folderName) {
+        const folder = folders.get(folderName);
+        const folderUrl = folderName && folder ? new URL(folder.href, source.config.path).toString() : source.config.path;
+
+        try {
+            const response = await this.sendWebdavRequest(source, "PROPFIND", folderUrl, {
+                headers: { "Depth": "1" },
+                body: PROPFIND_BODY
+            });
+            return this.parseImageListFromResponse(source, response.body);
+        } catch (error) {
+            if (!folderName) {
+                throw error;
+            }
+
+            Log.warn(`[${this.name}] Skipping folder /${folderName}: ${error.message}`);
+            return { images: [], folders: [], removed: [], syncToken: null, skipped: true };
+        }
+    },
+
+    /**
+     * Puts back the ETags a folder that could not be listed and the folders
+     * above it had before the walk, so the next refresh walks down to it again.
+     * Folders unknown before the walk lose their ETag.
+     */
+    forgetFolderEtags: function(folders, previousFolders, folderName) {
+        const parts = folderName.split("/");
+
+        for (let depth = 0; depth <= parts.length; depth++) {
+            const name = parts.slice(0, depth).join("/");
+            if (previousFolders.has(name)) {
+                folders.set(name, previousFolders.get(name));
+            } else {
+                folders.delete(name);
+            }
+        }
+    },
+
+    /**
+     * Breadth-first walk over folders with at most repositoryConfig.crawlConcurrency
+     * requests in flight. visitFolder resolves with the sub folders to walk next.
+     */
+    crawlFolders: function(source, startFolders, visitFolder) {
+        const concurrency = Math.max(1, source.config.crawlConcurrency || 4);
+        const queue = [...startFolders];
+        let active = 0;
+        let failed = false;
+
+        return new Promise((resolve, reject) => {
+            const next = () => {
+                if (failed) {
+                    return;
+                }
+
+                if (queue.length === 0 && active === 0) {
+                    resolve();
+                    return;
+                }
+
+                while (active < concurrency && queue.length > 0) {
+                    const folderName = queue.shift();
+                    active++;
+
+                    visitFolder(folderName)
+                        .then(subfolders => {
+                            active--;
+                            queue.push(...subfolders);
+                            next();
+                        })
+                        .catch(error => {
+                            failed = true;
+                            reject(error);
+                        });
+                }
+            };
+
+            next();
+        });
+    },
+
+    /**
+     * Applies repositoryConfig.maxDepth, excludeFolders and includeFolders to a
+     * folder path relative to the repository. Exclusion and inclusion also count
+     * for everything below a matching folder. When crawling, folders outside
+     * includeFolders are still walked since they may contain included folders.
+     */
+    isFolderIncluded: function(source, folderName, forCrawling = false) {
+        const repositoryConfig = source.config;
+        const ancestors = folderName ? folderName.split("/").map((_, index, parts) => parts.slice(0, index + 1).join("/")) : [];
+        const toPatterns = patterns => (patterns || []).map(pattern => new RegExp(pattern, "i"));
+
+        if (Number.isInteger(repositoryConfig.maxDepth) && ancestors.length > repositoryConfig.maxDepth) {
+            return false;
+        }
+
+        const excludePatterns = toPatterns(repositoryConfig.excludeFolders);
+        if (ancestors.some(ancestor => excludePatterns.some(pattern => pattern.test(ancestor)))) {
+            return false;
+        }
+
+        const includePatterns = toPatterns(repositoryConfig.includeFolders);
+        if (forCrawling || includePatterns.length === 0) {
+            return true;
+        }
+
+        return ancestors.some(ancestor => includePatterns.some(pattern => pattern.test(ancestor)));
+    },
+
+    /**
+     * Removes a file or a whole folder (including everything below it) from a
+     * listing and its folder map.
+     */
+    removeFromListing: function(folders, listing, filename) {
+        for (const [href, image] of listing) {
+            if (image.filename === filename || image.filename.startsWith(`${filename}/`)) {
+                listing.delete(href);
+            }
+        }
+
+        for (const folderName of [...folders.keys()]) {
+            if (folderName === filename || folderName.startsWith(`${filename}/`)) {
+                folders.delete(folderName);
+            }
+        }
+    },
+
+    createListingDelta: function(previousListing, currentListing) {
+        const delta = { added: [], changed: [], removed: [] };
+
+        for (const [href, image] of currentListing) {
+            const previousImage = previousListing.get(href);
+            if (!previousImage) {
+                delta.added.push(image);
+            } else if (previousImage.etag !== image.etag || previousImage.favorite !== image.favorite) {
+                delta.changed.push(image);
+            }
+        }
+
+        for (const href of previousListing.keys()) {
+            if (!currentListing.has(href)) {
+                delta.removed.push(href);
+            }
+        }
+
+        return delta;
+    },
+
+    getParentFolder: function(filename) {
+        const separator = filename.lastIndexOf("/");
+        return separator === -1 ? "" : filename.slice(0, separator);
+    },
+
+    /**
+     * Sends a request to Nextcloud with the configured credentials and resolves with
+     * the buffered response. The body is text unless options.binary is set, in which
+     * case it is a Buffer, cut off after options.maxBytes if given.
+     * options.maxBytesPerSecond throttles receiving the response.
+     * HTTP errors reject with the status code in the message.
+     */
+    sendWebdavRequest: function(source, method, url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const body = options.body || "";
+            const headers = { ...options.headers };
+            const authHeader = this.createAuthHeader(source);
+
+            if (authHeader) {
+                headers["Authorization"] = authHeader;
+            }
+
+            if (body) {
+                headers["Content-Type"] = "application/xml; charset=utf-8";
+                headers["Content-Length"] = Buffer.byteLength(body);
+            }
+
+            const requestOptions = {
+                method: method,
+                headers: headers,
+                timeout: options.timeout || 30000 // 30 second timeout
+            };
+
+            const request = https.request(url, requestOptions, (response) => {
+                const chunks = [];
+                const startTime = Date.now();
+                let receivedBytes = 0;
+
+                const finish = () => {
+                    if (response.statusCode >= 400) {
+                        const error = new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+                        error.statusCode = response.statusCode;
+                        reject(error);
+                        return;
+                    }
+
+                    const buffer = Buffer.concat(chunks);
+                    resolve({
+                        statusCode: response.statusCode,
+                        headers: response.headers,
+                        body: options.binary ? buffer.subarray(0, options.maxBytes || buffer.length) : buffer.toString("utf8")
+                    });
+                };
+
+                response.on("data", (chunk) => {
+                    chunks.push(chunk);
+                    receivedBytes += chunk.length;
+
+                    // Servers ignoring the Range header send everything, stop early
+                    if (options.maxBytes && receivedBytes >= options.maxBytes) {
+                        response.removeAllListeners("end");
+                        response.destroy();
+                        finish();
+                        return;
+                    }
+
+                    if (options.maxBytesPerSecond > 0) {
+                        const delay = receivedBytes / options.maxBytesPerSecond * 1000 - (Date.now() - startTime);
+                        if (delay > 0) {
+                            response.pause();
+                            setTimeout(() => response.resume(), delay);
+                        }
+                    }
+                });
+
+                response.on("end", finish);
+                response.on("error", reject);
+            });
+
+            request.on("error", reject);
+
+            request.on("timeout", () => {
+                request.destroy(new Error("Request timeout - Nextcloud server not responding"));
+            });
+
+            request.end(body);
+        });
+    },
+
+    /**
+     * Parses a PROPFIND or sync-collection multistatus into
+     * { images, folders, removed, syncToken }. Removed entries (only reported by
+     * sync-collection) are returned as filenames relative to the repository path.
+     */
+    parseImageListFromResponse: function(source, responseBody) {
+        const { responses, syncToken } = this.parseMultistatus(responseBody);
+        const listing = { images: [], folders: [], removed: [], syncToken: syncToken };
+        const excludePatterns = source.config.exclude?.map(pattern => new RegExp(pattern, "i")) || [];
+
+        for (const entry of responses) {
+            const file = this.createFileMetadata(source, entry);
+
+            if (!file) {
+                continue;
+            }
+
+            if (entry.status && /\s404\s/.test(` ${entry.status} `)) {
+                listing.removed.push(file.filename);
+                continue;
+            }
+
+            if (file.isCollection) {
+                // PROPFIND reports the sync token as a property of the repository folder
+                const syncToken = entry.props[`{${DAV_NS}}sync-token`];
+                if (file.filename === "" && syncToken && !listing.syncToken) {
+                    listing.syncToken = syncToken.text.trim() || null;
+                }
+
+                listing.folders.push(file);
+                continue;
+            }
+
+            // Let the server decide what is an image
+            if (!file.filename || !file.contentType || !file.contentType.startsWith("image/")) {
+                continue;
+            }
+
+            if (!this.isFolderIncluded(source, this.getParentFolder(file.filename))) {
+                continue;
+            }
+
+            // Apply exclude patterns
+            if (excludePatterns.some(pattern => pattern.test(file.filename))) {
+                Log.debug(`[${this.name}] Excluding file due to exclude pattern: ${file.filename}`);
+                continue;
+            }
+
+            if (source.excludedHrefs.has(file.href)) {
+                Log.debug(`[${this.name}] Excluding file due to exclude tag: ${file.filename}`);
+                continue;
+            }
+
+            listing.images.push(file);
+        }
+
+        return listing;
+    },
+
+    /**
+     * Turns a multistatus entry into the metadata object sent to the frontend.
+     * The repository root itself gets an empty filename; entries outside the
+     * repository path return null.
+     */
+    createFileMetadata: function(source, entry) {
+        const baseUrl = new URL(source.config.path);
+        const basePath = decodeURIComponent(baseUrl.pathname).replace(/\/+$/, "");
+        const hrefUrl = new URL(entry.href, baseUrl);
+        const hrefPath = decodeURIComponent(hrefUrl.pathname);
+
+        if (hrefPath !== basePath && !hrefPath.startsWith(`${basePath}/`)) {
+            return null;
+        }
+
+        const filename = hrefPath.slice(basePath.length).replace(/^\/+/, "").replace(/\/+$/, "");
+
+        const props = entry.props;
+        const text = (ns, name) => {
+            const element = props[`{${ns}}${name}`];
+            return element ? element.text.trim() : "";
+        };
+        const resourceType = props[`{${DAV_NS}}resourcetype`];
+        const lastModified = new Date(text(DAV_NS, "getlastmodified"));
+        const size = parseInt(text(DAV_NS, "getcontentlength"), 10);
+
+        return {
+            filename: filename,
+            // Absolute, so images of sources on different servers never share cache or index entries
+            href: `${hrefUrl.origin}${hrefUrl.pathname}`,
+            contentType: text(DAV_NS, "getcontenttype").split(";")[0].toLowerCase() || null,
+            lastModified: isNaN(lastModified.getTime()) ? null : lastModified.toISOString(),
+            size: isNaN(size) ? null : size,
+            etag: text(DAV_NS, "getetag").replace(/^W\//, "").replace(/"/g, "") || null,
+            fileId: text(OC_NS, "fileid") || null,
+            favorite: text(OC_NS, "favorite") === "1",
+            source: source.index,
+            sourceName: source.name,
+            isCollection: Boolean(resourceType && resourceType.children.some(child => child.name === `{${DAV_NS}}collection`))
+        };
+    },
+
+    /**
+     * Parses a WebDAV multistatus document into { responses, syncToken }.
+     * There is one { href, status, props } object per <d:response>, where props only
+     * contains the properties of successful propstat blocks, keyed by "{namespace}name".
+     */
+    parseMultistatus: function(responseBody) {
+        const root = this.parseXml(responseBody);
+        if (!root || root.name !== `{${DAV_NS}}multistatus`) {
+            throw new Error("Response is not a WebDAV multistatus document");
+        }
+
+        const findChild = (element, name) => element.children.find(child => child.name === `{${DAV_NS}}${name}`);
+        const syncToken = findChild(root, "sync-token");
+        const entries = [];
+
+        for (const response of root.children) {
+            if (response.name !== `{${DAV_NS}}response`) {
+                continue;
+            }
+
+            const href = findChild(response, "href");
+            if (!href) {
+                continue;
+            }
+
+            const status = findChild(response, "status");
+            const props = {};
+
+            for (const propstat of response.children) {
+                if (propstat.name !== `{${DAV_NS}}propstat`) {
+                    continue;
+                }
+
+                const propstatStatus = findChild(propstat, "status");
+                if (propstatStatus && !/\s2\d\d\s/.test(` ${propstatStatus.text.trim()} `)) {
+                    continue;
+                }
+
+                const prop = findChild(propstat, "prop");
+                for (const element of prop ? prop.children : []) {
+                    props[element.name] = element;
+                }
+            }
+
+            entries.push({
+                href: href.text.trim(),
+                status: status ? status.text.trim() : null,
+                props: props
+            });
+        }
+
+        return {
+            responses: entries,
+            syncToken: syncToken ? syncToken.text.trim() : null
+        };
+    },
+
+    escapeXml: function(value) {
+        return String(value).replace(/[&<>"']/g, character => `&${Object.keys(XML_ENTITIES).find(entity => XML_ENTITIES[entity] === character)};`);
+    },
+
+    /**
+     * Minimal namespace aware XML parser, sufficient for WebDAV responses.
+     * Element names are resolved to Clark notation ("{namespace}localName").
+     */
+    parseXml: function(xml) {
+        const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+        const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        const decode = value => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === "#") {
+                return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            }
+            return XML_ENTITIES[code] ?? entity;
+        });
+        const resolve = (qualifiedName, namespaces, useDefault) => {
+            const separator = qualifiedName.indexOf(":");
+            const prefix = separator === -1 ? "" : qualifiedName.slice(0, separator);
+            const localName = separator === -1 ? qualifiedName : qualifiedName.slice(separator + 1);
+            if (!prefix && !useDefault) {
+                return localName;
+            }
+            const namespace = namespaces[prefix];
+            if (namespace === undefined) {
+                if (prefix) {
+                    throw new Error(`Undeclared namespace prefix: ${prefix}`);
+                }
+                return localName;
+            }
+            return namespace ? `{${namespace}}${localName}` : localName;
+        };
+
+        const stack = [];
+        let root = null;
+        let match;
+
+        while ((match = tokenPattern.exec(xml)) !== null) {
+            const [token, cdata, closing, qualifiedName, rawAttributes, selfClosing, text] = match;
+            const parent = stack[stack.length - 1];
+
+            if (text !== undefined || cdata !== undefined) {
+                if (parent) {
+                    parent.text += cdata !== undefined ? cdata : decode(text);
+                }
+                continue;
+            }
+
+            if (!qualifiedName) {
+                // Comment, processing instruction or doctype
+                continue;
+            }
+
+            if (closing) {
+                const element = stack.pop();
+                if (!element || element.qualifiedName !== qualifiedName) {
+                    throw new Error(`Unexpected closing tag: ${token}`);
+                }
+                continue;
+            }
+
+            const namespaces = Object.create(parent ? parent.namespaces : { xml: "http://www.w3.org/XML/1998/namespace" });
+            const attributeList = [];
+            let attributeMatch;
+            attributePattern.lastIndex = 0;
+
+            while ((attributeMatch = attributePattern.exec(rawAttributes)) !== null) {
+                const attributeName = attributeMatch[1];
+                const value = decode(attributeMatch[3] ?? attributeMatch[4]);
+                if (attributeName === "xmlns") {
+                    namespaces[""] = value;
+                } else if (attributeName.startsWith("xmlns:")) {
+                    namespaces[attributeName.slice(6)] = value;
+                } else {
+                    attributeList.push([attributeName, value]);
+                }
+            }
+
+            const element = {
+                name: resolve(qualifiedName, namespaces, true),
+                qualifiedName: qualifiedName,
+                namespaces: namespaces,
+                attributes: {},
+                children: [],
+                text: ""
+            };
+
+            for (const [attributeName, value] of attributeList) {
+                element.attributes[resolve(attributeName, namespaces, false)] = value;
+            }
+
+            if (parent) {
+                parent.children.push(element);
+            } else if (!root) {
+                root = element;
+            }
+
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+
+        if (stack.length > 0) {
+            throw new Error(`Unclosed element: ${stack[stack.length - 1].qualifiedName}`);
+        }
+
+        return root;
+    },
+
+    fetchImageData: function(instance, imageRequest) {
+        const { filename } = imageRequest;
+        
+        Log.debug(`[${this.name}] Fetching image data for: ${filename}`);
+
+        this.getImage(instance, imageRequest)
+            .then(imageData => this.addImageLocation(instance, imageData))
+            .then(imageData => {
+                Log.debug(`[${this.name}] Successfully processed image: ${filename} (${Math.round(imageData.size / 1024)}KB)`);
+                this.sendInstanceNotification(instance, "IMAGE_DATA_RECEIVED", imageData);
+            })
+            .catch(error => {
+                // One missing photo must not take the slideshow off the screen
+                Log.error(`[${this.name}] Error fetching image ${filename}: ${error.message}`);
+                this.sendInstanceNotification(instance, "IMAGE_FAILED", {
+                    filename: filename,
+                    href: imageRequest.href,
+                    message: error.message
+                });
+            });
+    },
+
+    /**
+     * Queues the images the frontend is going to show next. A new plan replaces
+     * the requests of the previous one that have not started yet.
+     */
+    prefetchImages: function(instance, imageRequests) {
+        instance.prefetchQueue = [...imageRequests];
+        this.processPrefetchQueue(instance);
+    },
+
+    processPrefetchQueue: function(instance) {
+        const concurrency = Math.max(1, instance.config.prefetchConcurrency || 1);
+
+        while (instance.activePrefetches < concurrency && instance.prefetchQueue.length > 0) {
+            const imageRequest = instance.prefetchQueue.shift();
+            instance.activePrefetches++;
+
+            Log.debug(`[${this.name}] Prefetching image: ${imageRequest.filename}`);
+            this.getImage(instance, imageRequest, { maxBytesPerSecond: instance.config.prefetchMaxBytesPerSecond })
+                .then(imageData => this.addImageLocation(instance, imageData))
+                .then(imageData => {
+                    this.sendInstanceNotification(instance, "IMAGE_PREFETCHED", imageData);
+                })
+                .catch(error => {
+                    Log.warn(`[${this.name}] Failed to prefetch image ${imageRequest.filename}: ${error.message}`);
+                })
+                .finally(() => {
+                    instance.activePrefetches--;
+                    this.processPrefetchQueue(instance);
+                });
+        }
+    },
+
+    /**
+     * Loads an image in the requested display size. Requests for an image that is
+     * already being loaded share the running download.
+     */
+    getImage: function(instance, imageRequest, downloadOptions = {}) {
+        const width = imageRequest.width || instance.config.showWidth;
+        const height = imageRequest.height || instance.config.showHeight;
+        const cacheKey = `${imageRequest.href}_${width}_${height}`;
+
+        if (!this.pendingImageLoads.has(cacheKey)) {
+            const imageLoad = this.loadImage(instance, imageRequest, width, height, downloadOptions)
+                .finally(() => {
+                    this.pendingImageLoads.delete(cacheKey);
+                });
+            this.pendingImageLoads.set(cacheKey, imageLoad);
+        }
+
+        return this.pendingImageLoads.get(cacheKey);
+    },
+
+    /**
+     * Returns an image from the disk cache after revalidating it against its ETag,
+     * downloading it if missing or changed. While Nextcloud is unreachable cached
+     * copies are used as they are.
+     */
+    loadImage: async function(instance, imageRequest, width, height, downloadOptions = {}) {
+        const { filename } = imageRequest;
+        const cacheKey = `${imageRequest.href}_${width}_${height}`;
+        const cached = this.imageCache.get(cacheKey);
+        let download;
+
+        try {
+            download = await this.downloadImage(instance, imageRequest, width, height, cached ? cached.etag : null, downloadOptions);
+        } catch (error) {
+            if (!cached || error.statusCode === 404) {
+                throw error;
+            }
+
+            Log.warn(`[${this.name}] Nextcloud not reachable (${error.message}), using cached copy of ${filename}`);
+        }
+
+        if (download) {
+            const exifData = this.extractExifData(download.exifBuffer);
+            const entry = await this.storeCachedImage(instance, cacheKey, imageRequest, download, exifData);
+            return this.createImageData(imageRequest, entry);
+        }
+
+        Log.debug(`[${this.name}] Returning cached image data for: ${filename}`);
+
+        try {
+            await fs.promises.access(path.join(this.cacheDirectory, cached.file), fs.constants.R_OK);
+            this.touchCachedImage(cacheKey);
+            return this.createImageData(imageRequest, cached);
+        } catch (error) {
+            // Cache file vanished, forget about it and download again
+            Log.warn(`[${this.name}] Cached copy of ${filename} unreadable: ${error.message}`);
+            this.imageCache.delete(cacheKey);
+            this.saveCacheIndex();
+            return this.loadImage(instance, imageRequest, width, height, downloadOptions);
+        }
+    },
+
+    /**
+     * Downloads an image, preferably as a Nextcloud preview scaled to the requested
+     * size. Previews carry no EXIF data, so only the header of the original is fetched
+     * for it. Falls back to the original file when no preview can be generated.
+     * With a cached ETag the request is conditional; resolves with null if unchanged.
+     * downloadOptions.maxBytesPerSecond limits the bandwidth of the download.
+     */
+    downloadImage: async function(instance, imageRequest, width, height, cachedEtag, downloadOptions = {}) {
+        const { filename, href, fileId } = imageRequest;
+        const source = this.getImageSource(instance, imageRequest);
+        const imageUrl = new URL(href, source.config.path).toString();
+        const conditionalHeaders = cachedEtag ? { "If-None-Match": `"${cachedEtag}"` } : {};
+
+        if (instance.config.usePreviews && fileId) {
+            const header = await this.fetchFileHeader(source, imageUrl, conditionalHeaders);
+            if (header && header.statusCode === 304) {
+                return null;
+            }
+
+            try {
+                const preview = await this.sendWebdavRequest(source, "GET", this.getPreviewUrl(source, imageRequest, width, height), {
+                    binary: true,
+                    maxBytesPerSecond: downloadOptions.maxBytesPerSecond,
+                    timeout: 60000 // 60 second timeout for image download
+                });
+
+                return {
+                    buffer: preview.body,
+                    mimeType: preview.headers["content-type"],
+                    preview: true,
+                    exifBuffer: header ? header.body : null,
+                    etag: this.getResponseEtag(header) || imageRequest.etag
+                };
+            } catch (error) {
+                Log.info(`[${this.name}] Preview not available for ${filename} (${error.message}), downloading original`);
+            }
+        }
+
+        const response = await this.sendWebdavRequest(source, "GET", imageUrl, {
+            headers: conditionalHeaders,
+            binary: true,
+            maxBytesPerSecond: downloadOptions.maxBytesPerSecond,
+            timeout: 60000 // 60 second timeout for image download
+        });
+
+        if (response.statusCode === 304) {
+            return null;
+        }
+
+        return {
+            buffer: response.body,
+            mimeType: response.headers["content-type"],
+            exifBuffer: response.body,
+            etag: this.getResponseEtag(response) || imageRequest.etag
+        };
+    },
+
+    /**
+     * Describes a cached image for the frontend, which loads it through the image route.
+     */
+    createImageData: function(imageRequest, cacheEntry) {
+        const version = encodeURIComponent(cacheEntry.etag || cacheEntry.lastAccess);
+
+        return {
+            filename: imageRequest.filename,
+            href: imageRequest.href,
+            url: `/${this.name}/images/${this.imageRouteToken}/${cacheEntry.file}?v=${version}`,
+            exifData: cacheEntry.exifData,
+            orientation: cacheEntry.orientation || 1,
+            mimeType: cacheEntry.mimeType,
+            size: cacheEntry.size
+        };
+    },
+
+    getResponseEtag: function(response) {
+        const etag = response && response.headers.etag;
+        return etag ? etag.replace(/^W\//, "").replace(/"/g, "") : null;
+    },
+
+    /**
+     * Fetches the first bytes of a file, which hold the EXIF data of photos.
+     * Resolves with the response, or null if the header cannot be read.
+     */
+    fetchFileHeader: async function(source, fileUrl, headers = {}, byteCount = FILE_HEADER_BYTES) {
+        try {
+            return await this.sendWebdavRequest(source, "GET", fileUrl, {
+                headers: { ...headers, "Range": `bytes=0-${byteCount - 1}` },
+                binary: true,
+                maxBytes: byteCount
+            });
+        } catch (error) {
+            Log.debug(`[${this.name}] Could not read file header of ${fileUrl}: ${error.message}`);
+            return null;
+        }
+    },
+
+    /**
+     * Builds the URL of Nextcloud's preview endpoint, which lives next to
+     * remote.php in the Nextcloud installation folder. Public shares have their
+     * own endpoint addressing files by their path in the share.
+     */
+    getPreviewUrl: function(source, imageRequest, width, height) {
+        const repositoryUrl = new URL(source.config.path);
+        const remoteIndex = repositoryUrl.pathname.search(/\/(remote|public)\.php\//);
+        const basePath = remoteIndex === -1 ? "" : repositoryUrl.pathname.slice(0, remoteIndex);
+        let previewUrl;
+
+        if (source.config.shareToken) {
+            previewUrl = new URL(`${basePath}/index.php/apps/files_sharing/publicpreview/${source.config.shareToken}`, repositoryUrl.origin);
+            previewUrl.searchParams.set("file", `/${imageRequest.filename}`);
+        } else {
+            previewUrl = new URL(`${basePath}/index.php/core/preview`, repositoryUrl.origin);
+            previewUrl.searchParams.set("fileId", imageRequest.fileId);
+        }
+
+        previewUrl.searchParams.set("x", Math.round(width));
+        previewUrl.searchParams.set("y", Math.round(height));
+        previewUrl.searchParams.set("a", "1");
+
+        return previewUrl.toString();
+    },
+
+    /**
+     * Loads the index of the disk cache. Entries whose file is gone are dropped,
+     * as are files in the cache folder that no entry points to.
+     */
+    loadCacheIndex: function() {
+        this.imageCache = new Map();
+
+        try {
+            fs.mkdirSync(this.cacheDirectory, { recursive: true });
+
+            const indexFile = path.join(this.cacheDirectory, CACHE_INDEX_FILE);
+            if (fs.existsSync(indexFile)) {
+                const index = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+                for (const [cacheKey, entry] of Object.entries(index.version === CACHE_INDEX_VERSION ? index.entries : {})) {
+                    if (fs.existsSync(path.join(this.cacheDirectory, entry.file))) {
+                        this.imageCache.set(cacheKey, entry);
+                    }
+                }
+            }
+
+            const knownFiles = new Set([...this.imageCache.values()].map(entry => entry.file));
+            for (const file of fs.readdirSync(this.cacheDirectory)) {
+                if (file !== CACHE_INDEX_FILE && !knownFiles.has(file)) {
+                    fs.rmSync(path.join(this.cacheDirectory, file), { force: true });
+                }
+            }
+
+            Log.info(`[${this.name}] Image cache loaded with ${this.imageCache.size} images`);
+        } catch (error) {
+            Log.error(`[${this.name}] Failed to load image cache, starting empty: ${error.message}`);
+            this.imageCache = new Map();
+        }
+    },
+
+    /**
+     * Writes the cache index to disk once CACHE_INDEX_SAVE_DELAY passed. Entries
+     * missing from an older index on disk only cost a download after a crash.
+     */
+    saveCacheIndex: function() {
+        if (!this.cacheIndexSaveTimer) {
+            this.cacheIndexSaveTimer = setTimeout(() => {
+                this.cacheIndexSaveTimer = null;
+                this.writeCacheIndex();
+            }, CACHE_INDEX_SAVE_DELAY);
+        }
+    },
+
+    /**
+     * Writes the cache index to disk. Writes are chained so they never overlap.
+     */
+    writeCacheIndex: function() {
+        const indexFile = path.join(this.cacheDirectory, CACHE_INDEX_FILE);
+
+        this.cacheIndexWrite = this.cacheIndexWrite
+            .then(() => fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(this.getStoredCacheIndex())))
+            .then(() => fs.promises.rename(`${indexFile}.tmp`, indexFile))
+            .catch(error => {
+                Log.error(`[${this.name}] Failed to save image cache index: ${error.message}`);
+            });
+
+        return this.cacheIndexWrite;
+    },
+
+    getStoredCacheIndex: function() {
+        return { version: CACHE_INDEX_VERSION, entries: Object.fromEntries(this.imageCache) };
+    },
+
+    storeCachedImage: async function(instance, cacheKey, imageRequest, download, exifData) {
+        const file = crypto.createHash("sha1").update(cacheKey).digest("hex");
+        const image = { ...imageRequest };
+
+        // Only the file metadata is kept, not the request details
+        delete image.index;
+        delete image.width;
+        delete image.height;
+
+        // Images are only served from the cache, so failing to write it is an error
+        await fs.promises.writeFile(path.join(this.cacheDirectory, file), download.buffer);
+
+        const entry = {
+            file: file,
+            image: image,
+            etag: download.etag,
+            mimeType: download.mimeType || "image/jpeg",
+            exifData: exifData,
+            // Nextcloud previews are already turned upright, originals are turned by the frontend
+            orientation: download.preview ? null : exifData.orientation,
+            size: download.buffer.length,
+            lastAccess: Date.now()
+        };
+
+        this.imageCache.set(cacheKey, entry);
+        await this.evictCachedImages(instance, cacheKey);
+        this.saveCacheIndex();
+
+        return entry;
+    },
+
+    touchCachedImage: function(cacheKey) {
+        this.imageCache.get(cacheKey).lastAccess = Date.now();
+        this.saveCacheIndex();
+    },
+
+    /**
+     * Removes least recently used images until the cache fits cacheMaxBytes.
+     * The image just stored is kept in any case, it is about to be shown.
+     */
+    evictCachedImages: async function(instance, keepCacheKey) {
+        const maxBytes = instance.config.cacheMaxBytes ?? DEFAULT_CACHE_MAX_BYTES;
+        let totalBytes = 0;
+
+        for (const entry of this.imageCache.values()) {
+            totalBytes += entry.size;
+        }
 
-                const imageList = this.parseImageListFromResponse(body);
-                
-                if (imageList.length === 0) {
-                    Log.warn(`[${this.name}] No images found in the specified path`);
-                    this.sendSocketNotification("ERROR", { 
-                        message: "No images found in the specified Nextcloud path" 
-                    });
-                    return;
-                }
+        const entries = [...this.imageCache.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
 
-                Log.info(`[${this.name}] Successfully found ${imageList.length} images`);
-                this.sendSocketNotification("IMAGE_LIST_RECEIVED", imageList);
-                
-            } catch (error) {
-                Log.error(`[${this.name}] Failed to parse image list: ${error.message}`);
-                this.sendSocketNotification("ERROR", { 
-                    message: "Failed to parse Nextcloud response",
-                    details: error.message 
-                });
+        for (const [cacheKey, entry] of entries) {
+            if (totalBytes <= maxBytes) {
+                break;
             }
-        });
 
-        response.on("error", (error) => {
-            Log.error(`[${this.name}] Response error: ${error.message}`);
-            this.sendSocketNotification("ERROR", { 
-                message: "Error receiving data from Nextcloud",
-                details: error.message 
-            });
-        });
+            if (cacheKey === keepCacheKey) {
+                continue;
+            }
+
+            this.imageCache.delete(cacheKey);
+            totalBytes -= entry.size;
+            Log.debug(`[${this.name}] Evicting ${entry.image.filename} from image cache`);
+            await fs.promises.rm(path.join(this.cacheDirectory, entry.file), { force: true });
+        }
     },
 
-    parseImageListFromResponse: function(responseBody) {
-        try {
-            // Extract href entries from WebDAV response
-            const hrefMatches = responseBody.match(/href>([^<]+)</g);
-            
-            if (!hrefMatches) {
-                Log.warn(`[${this.name}] No href entries found in response`);
-                return [];
-            }
+    /**
+     * Serves cached images to the frontend. The random token in the URL keeps
+     * other clients of the MagicMirror server from reading the photos.
+     */
+    registerImageRoute: function() {
+        this.expressApp.get(`/${this.name}/images/:token/:file`, (request, response) => {
+            const token = Buffer.from(String(request.params.token));
+            const expectedToken = Buffer.from(this.imageRouteToken);
 
-            const baseUrl = new URL(this.config.repositoryConfig.path);
-            const basePath = baseUrl.pathname;
-            
-            const imageList = [];
-            const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.tif'];
-            const excludePatterns = this.config.repositoryConfig.exclude?.map(pattern => new RegExp(pattern, 'i')) || [];
+            if (token.length !== expectedToken.length || !crypto.timingSafeEqual(token, expectedToken)) {
+                response.status(403).end();
+                return;
+            }
 
-            for (let match of hrefMatches) {
-                const href = match.replace(/href>([^<]+)</, '$1');
-                
-                // Skip if it's the current directory
-                if (href === basePath || href === basePath + '/') {
-                    continue;
-                }
+            const entry = [...this.imageCache.values()].find(cacheEntry => cacheEntry.file === request.params.file);
+            if (!entry) {
+                response.status(404).end();
+                return;
+            }
 
-                // Extract filename
-                const filename = decodeURIComponent(href.replace(basePath, '').replace(/^\/+/, ''));
-                
-                // Skip if empty or is a directory (ends with /)
-                if (!filename || filename.endsWith('/')) {
-                    continue;
+            // The URL changes with the ETag, so the browser may keep the image
+            const options = {
+                root: this.cacheDirectory,
+                cacheControl: false,
+                headers: {
+                    "Content-Type": entry.mimeType,
+                    "Cache-Control": "private, max-age=604800, immutable"
                 }
+            };
 
-                // Check if it's an image file
-                const ext = path.extname(filename).toLowerCase();
-                if (!imageExtensions.includes(ext)) {
-                    continue;
+            response.sendFile(entry.file, options, (error) => {
+                if (error && !response.headersSent) {
+                    Log.warn(`[${this.name}] Failed to serve cached image ${entry.image.filename}: ${error.message}`);
+                    response.status(404).end();
                 }
+            });
+        });
+    },
 
-                // Apply exclude patterns
-                if (excludePatterns.some(pattern => pattern.test(filename))) {
-                    Log.debug(`[${this.name}] Excluding file due to exclude pattern: ${filename}`);
-                    continue;
-                }
+    /**
+     * Keeps the playback state of the frontend, so the slideshow continues
+     * where it stopped after a restart. The frontend only sends what changed:
+     * lastImage is the image shown last, historyRemoved and historyAdded step
+     * back and forth in the history of random order, shuffleRemoved and
+     * shuffleShown take images out of and into the round of the shuffle bag,
+     * playsRemoved and plays drop and update play counts of single images.
+     */
+    updatePlaybackState: function(instance, change) {
+        const state = instance.playbackState;
 
-                imageList.push(filename);
+        if (change.lastImage) {
+            state.lastImage = change.lastImage;
+        }
+        if (change.historyRemoved > 0) {
+            state.history = (state.history || []).slice(0, -change.historyRemoved);
+        }
+        if (change.historyAdded) {
+            state.history = [...(state.history || []), change.historyAdded].slice(-Math.max(1, instance.config.historySize));
+        }
+        if (Array.isArray(change.shuffleRemoved)) {
+            const shuffleRemoved = new Set(change.shuffleRemoved);
+            state.shuffleShown = (state.shuffleShown || []).filter(href => !shuffleRemoved.has(href));
+        }
+        if (change.shuffleShown) {
+            state.shuffleShown = state.shuffleShown || [];
+            if (!state.shuffleShown.includes(change.shuffleShown)) {
+                state.shuffleShown.push(change.shuffleShown);
+            }
+        }
+        if (Array.isArray(change.playsRemoved)) {
+            for (const href of change.playsRemoved) {
+                delete state.plays?.[href];
             }
+        }
+        if (change.plays) {
+            state.plays = Object.assign(state.plays || {}, change.plays);
+        }
 
-            return imageList;
-            
-        } catch (error) {
-            Log.error(`[${this.name}] Error parsing image list: ${error.message}`);
-            return [];
+        if (!instance.playbackStateTimer) {
+            instance.playbackStateTimer = setTimeout(() => {
+                instance.playbackStateTimer = null;
+                this.writeDataFile(this.getPlaybackStateFileName(instance), instance.playbackState);
+            }, PLAYBACK_STATE_SAVE_DELAY);
         }
     },
 
-    fetchImageData: function(imageRequest) {
-        const { filename, index } = imageRequest;
-        
-        Log.debug(`[${this.name}] Fetching image data for: ${filename}`);
-        
-        // Check cache first
-        const cacheKey = `${filename}_${this.config.showWidth}_${this.config.showHeight}`;
-        if (this.imageCache.has(cacheKey)) {
-            Log.debug(`[${this.name}] Returning cached image data for: ${filename}`);
-            this.sendSocketNotification("IMAGE_DATA_RECEIVED", this.imageCache.get(cacheKey));
+    /**
+     * Writes a pending playback state right away. Synchronous, as it runs while
+     * MagicMirror shuts down.
+     */
+    flushPlaybackState: function(instance) {
+        if (!instance.playbackStateTimer) {
             return;
         }
 
-        const imageUrl = this.config.repositoryConfig.path + "/" + encodeURIComponent(filename);
-        const auth = this.createAuthHeader();
+        clearTimeout(instance.playbackStateTimer);
+        instance.playbackStateTimer = null;
 
-        const requestOptions = {
-            method: "GET",
-            headers: {
-                "Authorization": auth
-            },
-            timeout: 60000 // 60 second timeout for image download
-        };
+        this.writeDataFileSync(this.getPlaybackStateFileName(instance), instance.playbackState);
+    },
 
-        const request = https.request(imageUrl, requestOptions, (response) => {
-            this.handleImageDataResponse(response, filename, cacheKey);
-        });
+    getPlaybackStateFileName: function(instance) {
+        return `state-${instance.identifier.replace(/[^\w-]/g, "_")}.json`;
+    },
 
-        request.on("error", (error) => {
-            Log.error(`[${this.name}] Error fetching image ${filename}: ${error.message}`);
-            this.sendSocketNotification("ERROR", { 
-                message: `Failed to fetch image: ${filename}`,
-                details: error.message 
-            });
-        });
+    saveMetadataIndex: function() {
+        clearTimeout(this.metadataIndexSaveTimer);
+        this.metadataIndexSaveTimer = null;
+        return this.writeDataFile(METADATA_INDEX_FILE, this.getStoredMetadataIndex());
+    },
 
-        request.on("timeout", () => {
-            Log.error(`[${this.name}] Timeout fetching image: ${filename}`);
-            request.destroy();
-            this.sendSocketNotification("ERROR", { 
-                message: `Timeout downloading image: ${filename}` 
-            });
-        });
+    /**
+     * Writes the metadata index once METADATA_INDEX_SAVE_DELAY passed, so
+     * indexing a large library does not rewrite it with every batch.
+     */
+    scheduleMetadataIndexSave: function() {
+        if (!this.metadataIndexSaveTimer) {
+            this.metadataIndexSaveTimer = setTimeout(() => this.saveMetadataIndex(), METADATA_INDEX_SAVE_DELAY);
+        }
+    },
+
+    getStoredMetadataIndex: function() {
+        return { version: METADATA_INDEX_VERSION, entries: Object.fromEntries(this.metadataIndex) };
+    },
+
+    /**
+     * Reads a JSON file of the data folder, which keeps state across restarts.
+     * Returns null if the file is missing or unreadable.
+     */
+    readDataFile: function(fileName) {
+        const dataFile = path.join(this.dataDirectory, fileName);
 
-        request.end();
+        try {
+            return fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, "utf8")) : null;
+        } catch (error) {
+            Log.error(`[${this.name}] Failed to read ${fileName}, starting empty: ${error.message}`);
+            return null;
+        }
     },
 
-    handleImageDataResponse: function(response, filename, cacheKey) {
-        if (response.statusCode >= 400) {
-            Log.error(`[${this.name}] HTTP error ${response.statusCode} for image: ${filename}`);
-            this.sendSocketNotification("ERROR", { 
-                message: `Failed to download image: ${filename} (HTTP ${response.statusCode})` 
+    /**
+     * Writes a JSON file of the data folder. Writes of the same file are chained
+     * so they never overlap, and go through a temporary file so a crash never
+     * leaves a truncated file behind.
+     */
+    writeDataFile: function(fileName, data) {
+        const dataFile = path.join(this.dataDirectory, fileName);
+        const previousWrite = this.dataFileWrites.get(fileName) || Promise.resolve();
+
+        const write = previousWrite
+            .then(() => fs.promises.mkdir(this.dataDirectory, { recursive: true }))
+            .then(() => fs.promises.writeFile(`${dataFile}.tmp`, JSON.stringify(data)))
+            .then(() => fs.promises.rename(`${dataFile}.tmp`, dataFile))
+            .catch(error => {
+                Log.error(`[${this.name}] Failed to save ${fileName}: ${error.message}`);
             });
-            return;
+
+        this.dataFileWrites.set(fileName, write);
+        return write;
+    },
+
+    /**
+     * Writes a JSON file of the data folder right away, for state that has to
+     * be saved while MagicMirror shuts down.
+     */
+    writeDataFileSync: function(fileName, data) {
+        try {
+            fs.mkdirSync(this.dataDirectory, { recursive: true });
+            fs.writeFileSync(path.join(this.dataDirectory, fileName), JSON.stringify(data));
+        } catch (error) {
+            Log.error(`[${this.name}] Failed to save ${fileName}: ${error.message}`);
         }
+    },
 
-        const chunks = [];
-        
-        response.on("data", (chunk) => {
-            chunks.push(chunk);
-        });
+    /**
+     * Offers the images of a source available in the disk cache, used when
+     * Nextcloud cannot be reached. Of a listed source only the cached images
+     * stay in the frontend, the others return with the next successful
+     * refresh. Returns the number of images offered.
+     */
+    sendCachedImageList: function(instance, source) {
+        const repositoryUrl = new URL(source.config.path);
+        const repositoryPath = `${repositoryUrl.origin}${decodeURIComponent(repositoryUrl.pathname).replace(/\/+$/, "")}`;
+        const images = new Map();
 
-        response.on("end", () => {
-            try {
-                const buffer = Buffer.concat(chunks);
-                const mimeType = response.headers["content-type"] || "image/jpeg";
-                const encodedData = `data:${mimeType};base64,${buffer.toString('base64')}`;
-                
-                // Extract EXIF data
-                const exifData = this.extractExifData(buffer);
-                
-                const imageData = {
-                    filename: filename,
-                    encodedData: encodedData,
-                    exifData: exifData,
-                    mimeType: mimeType,
-                    size: buffer.length
-                };
+        // The cache is shared by all module instances, only offer images of this repository
+        for (const entry of this.imageCache.values()) {
+            if (!decodeURIComponent(entry.image.href).startsWith(`${repositoryPath}/`)) {
+                continue;
+            }
 
-                // Cache the result (limit cache size to prevent memory issues)
-                if (this.imageCache.size > 50) {
-                    const firstKey = this.imageCache.keys().next().value;
-                    this.imageCache.delete(firstKey);
+            // Listed images carry newer metadata than the cached copy, unlisted ones are gone
+            if (source.listing) {
+                if (source.listing.has(entry.image.href)) {
+                    images.set(entry.image.href, source.listing.get(entry.image.href));
                 }
-                this.imageCache.set(cacheKey, imageData);
-
-                Log.debug(`[${this.name}] Successfully processed image: ${filename} (${Math.round(buffer.length / 1024)}KB)`);
-                this.sendSocketNotification("IMAGE_DATA_RECEIVED", imageData);
-                
-            } catch (error) {
-                Log.error(`[${this.name}] Error processing image ${filename}: ${error.message}`);
-                this.sendSocketNotification("ERROR", { 
-                    message: `Failed to process image: ${filename}`,
-                    details: error.message 
-                });
+            } else {
+                images.set(entry.image.href, { ...entry.image, source: source.index, sourceName: source.name });
             }
-        });
+        }
 
-        response.on("error", (error) => {
-            Log.error(`[${this.name}] Error downloading image ${filename}: ${error.message}`);
-            this.sendSocketNotification("ERROR", { 
-                message: `Download error for image: ${filename}`,
-                details: error.message 
-            });
-        });
+        if (images.size === 0) {
+            return 0;
+        }
+
+        Log.warn(`[${this.name}] Nextcloud not reachable, showing ${images.size} cached images of ${source.label}`);
+
+        const offeredListing = source.cachedListing || source.listing;
+        source.cachedListing = images;
+
+        if (!instance.listSent || !offeredListing) {
+            this.sendListedImages(instance, [...images.values()]);
+            return images.size;
+        }
+
+        const delta = this.createListingDelta(offeredListing, images);
+        if (delta.added.length > 0 || delta.changed.length > 0 || delta.removed.length > 0) {
+            // The images left out are only hidden until Nextcloud is back
+            this.sendInstanceNotification(instance, "IMAGE_LIST_DELTA", { ...delta, cachedOnly: true });
+        }
+
+        return images.size;
     },
 
     extractExifData: function(buffer) {
@@ -327,7 +2176,17 @@ module.exports = NodeHelper.create({
             date: null,
             location: null,
             camera: null,
-            coordinates: null
+            lens: null,
+            exposureTime: null,
+            fNumber: null,
+            focalLength: null,
+            iso: null,
+            orientation: null,
+            coordinates: null,
+            title: null,
+            description: null,
+            keywords: [],
+            rating: null
         };
 
         try {
@@ -349,19 +2208,6 @@ module.exports = NodeHelper.create({
                         latitude: tags.GPSLatitude,
                         longitude: tags.GPSLongitude
                     };
-                    
-                    // Reverse geocoding to get location name (only if enabled)
-                    if (this.config.enableGeocoding) {
-                        this.reverseGeocode(tags.GPSLatitude, tags.GPSLongitude)
-                            .then(location => {
-                                exifData.location = location;
-                            })
-                            .catch(error => {
-                                Log.debug(`[${this.name}] Reverse geocoding failed: ${error.message}`);
-                            });
-                    } else {
-                        Log.debug(`[${this.name}] Geocoding disabled - GPS coordinates extracted but no location lookup performed`);
-                    }
                 }
 
                 // Extract camera information
@@ -370,18 +2216,407 @@ module.exports = NodeHelper.create({
                     const model = tags.Model || "";
                     exifData.camera = `${make} ${model}`.trim();
                 }
+
+                // Extract exposure settings, formatted by the frontend caption
+                exifData.lens = tags.LensModel ? String(tags.LensModel).trim() : null;
+                exifData.exposureTime = tags.ExposureTime || null;
+                exifData.fNumber = tags.FNumber || null;
+                exifData.focalLength = tags.FocalLength || null;
+                exifData.iso = tags.ISO || null;
+                exifData.orientation = tags.Orientation || null;
+                exifData.rating = tags.Rating ?? null;
             }
         } catch (error) {
             Log.debug(`[${this.name}] EXIF extraction failed (this is normal for some images): ${error.message}`);
         }
 
+        if (buffer) {
+            Object.assign(exifData, this.readEmbeddedDescriptions(buffer, exifData.rating));
+        }
+
         return exifData;
     },
 
-    async reverseGeocode(latitude, longitude) {
+    /**
+     * Reads title, description, keywords and star rating written by photo
+     * managers like digiKam or Lightroom. XMP is preferred over the older
+     * IPTC data, the EXIF rating is the last resort. A rating of -1 marks a
+     * rejected photo.
+     */
+    readEmbeddedDescriptions: function(buffer, exifRating = null) {
+        const segments = this.readJpegSegments(buffer);
+        const iptcSegment = segments.find(segment => segment.marker === 0xED && segment.data.toString("latin1", 0, IPTC_SIGNATURE.length) === IPTC_SIGNATURE);
+        const xmpSegment = segments.find(segment => segment.marker === 0xE1 && segment.data.toString("latin1", 0, XMP_SIGNATURE.length) === XMP_SIGNATURE);
+        const iptc = iptcSegment ? this.parseIptc(iptcSegment.data.subarray(IPTC_SIGNATURE.length)) : {};
+        const xmp = xmpSegment ? this.parseXmp(xmpSegment.data.toString("utf8", XMP_SIGNATURE.length)) : {};
+        const keywords = xmp.keywords?.length > 0 ? xmp.keywords : iptc.keywords || [];
+
+        return {
+            title: xmp.title || iptc.title || null,
+            description: xmp.description || iptc.description || null,
+            keywords: keywords,
+            rating: xmp.rating ?? exifRating ?? null
+        };
+    },
+
+    /**
+     * Splits the start of a JPEG into its { marker, data } segments, up to the
+     * image data or the end of the buffer. Other files give no segments.
+     */
+    readJpegSegments: function(buffer) {
+        const segments = [];
+        if (!buffer || buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+            return segments;
+        }
+
+        let offset = 2;
+        while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+
+            // Start of scan, image data follows
+            if (marker === 0xDA || offset + 2 + length > buffer.length) {
+                break;
+            }
+
+            segments.push({ marker: marker, data: buffer.subarray(offset + 4, offset + 2 + length) });
+            offset += 2 + length;
+        }
+
+        return segments;
+    },
+
+    /**
+     * Reads an XMP packet. Properties may be attributes or elements of any
+     * rdf:Description, language alternatives give their first entry.
+     */
+    parseXmp: function(xml) {
+        let root;
+        try {
+            root = this.parseXml(xml.slice(0, xml.lastIndexOf(">") + 1));
+        } catch (error) {
+            Log.debug(`[${this.name}] Invalid XMP packet: ${error.message}`);
+            return {};
+        }
+
+        const descriptions = [];
+        const collect = element => {
+            if (element.name === `{${RDF_NS}}Description`) {
+                descriptions.push(element);
+            }
+            element.children.forEach(collect);
+        };
+        if (root) {
+            collect(root);
+        }
+
+        const values = (namespace, name) => {
+            for (const description of descriptions) {
+                const property = `{${namespace}}${name}`;
+                if (description.attributes[property] !== undefined) {
+                    return [description.attributes[property]];
+                }
+
+                const element = description.children.find(child => child.name === property);
+                if (element) {
+                    // rdf:Alt, rdf:Bag or rdf:Seq hold their values in rdf:li
+                    const container = element.children[0];
+                    return container ? container.children.map(item => item.text.trim()) : [element.text.trim()];
+                }
+            }
+            return [];
+        };
+
+        const rating = parseFloat(values(XMP_NS, "Rating")[0]);
+
+        return {
+            title: values(DC_NS, "title")[0] || null,
+            description: values(DC_NS, "description")[0] || null,
+            keywords: values(DC_NS, "subject").filter(keyword => keyword),
+            rating: isNaN(rating) ? null : rating
+        };
+    },
+
+    /**
+     * Reads the IPTC records of a Photoshop image resource segment: object
+     * name as title, caption as description, and keywords. Texts are UTF-8,
+     * or Latin-1 if they are no valid UTF-8.
+     */
+    parseIptc: function(data) {
+        const result = { title: null, description: null, keywords: [] };
+        let offset = 0;
+
+        // Image resource blocks: "8BIM", id, padded Pascal name, size, padded data
+        while (offset + 12 <= data.length && data.toString("latin1", offset, offset + 4) === "8BIM") {
+            const resourceId = data.readUInt16BE(offset + 4);
+            const nameLength = data[offset + 6];
+            const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+            if (sizeOffset + 4 > data.length) {
+                break;
+            }
+
+            const size = data.readUInt32BE(sizeOffset);
+            const resource = data.subarray(sizeOffset + 4, sizeOffset + 4 + size);
+            offset = sizeOffset + 4 + size + (size % 2);
+
+            if (resourceId !== 0x0404) {
+                continue;
+            }
+
+            // IPTC-IIM datasets: 0x1C, record, dataset, size, data
+            let position = 0;
+            while (position + 5 <= resource.length && resource[position] === 0x1C) {
+                const record = resource[position + 1];
+                const dataset = resource[position + 2];
+                const length = resource.readUInt16BE(position + 3);
+
+                // Extended datasets are only used for binary data, nothing follows that we read
+                if (length & 0x8000) {
+                    break;
+                }
+
+                const valueBuffer = resource.subarray(position + 5, position + 5 + length);
+                position += 5 + length;
+
+                if (record !== 2) {
+                    continue;
+                }
+
+                const utf8 = valueBuffer.toString("utf8");
+                const value = (utf8.includes("\uFFFD") ? valueBuffer.toString("latin1") : utf8).trim();
+
+                if (dataset === 5) {
+                    result.title = value || null;
+                } else if (dataset === 120) {
+                    result.description = value || null;
+                } else if (dataset === 25 && value) {
+                    result.keywords.push(value);
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Adds the location name to the EXIF data of an image. The image waits for
+     * the lookup up to geocoderTimeout; a slower lookup follows as an
+     * IMAGE_LOCATION update, so the frontend can complete the caption.
+     */
+    addImageLocation: async function(instance, imageData) {
+        const exifData = imageData.exifData;
+        if (!instance.config.enableGeocoding || !exifData || !exifData.coordinates || exifData.location) {
+            return imageData;
+        }
+
+        const lookup = this.reverseGeocode(instance.config, exifData.coordinates);
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(undefined), instance.config.geocoderTimeout ?? 2000);
+        });
+        const location = await Promise.race([lookup, timeout]);
+        clearTimeout(timer);
+
+        if (location === undefined) {
+            lookup.then(lateLocation => {
+                if (lateLocation) {
+                    this.sendInstanceNotification(instance, "IMAGE_LOCATION", { href: imageData.href, location: lateLocation });
+                }
+            });
+            return imageData;
+        }
+
+        return { ...imageData, exifData: { ...exifData, location: location } };
+    },
+
+    /**
+     * Resolves the location name of coordinates, or null if there is none or
+     * the lookup failed. Results are cached on disk by rounded coordinates and
+     * requests are spaced by GEOCODE_REQUEST_INTERVAL, as the OSM usage policy
+     * asks for.
+     */
+    reverseGeocode: function(config, coordinates) {
+        if (config.geocoder === "offline") {
+            return this.reverseGeocodeOffline(config, coordinates);
+        }
+
+        const provider = GEOCODER_URLS[config.geocoder] ? config.geocoder : "nominatim";
+        const baseUrl = (config.geocoderUrl || GEOCODER_URLS[provider]).replace(/\/+$/, "");
+        const zoom = config.geocoderZoom ?? 10;
+        const language = config.geocoderLanguage || "en";
+        const latitude = coordinates.latitude.toFixed(GEOCODE_COORDINATE_DECIMALS);
+        const longitude = coordinates.longitude.toFixed(GEOCODE_COORDINATE_DECIMALS);
+        const key = `${baseUrl}|${zoom}|${language}|${latitude},${longitude}`;
+
+        if (this.geocodeCache.has(key)) {
+            return Promise.resolve(this.geocodeCache.get(key));
+        }
+
+        if (!this.pendingGeocodes.has(key)) {
+            const url = provider === "photon"
+                ? `${baseUrl}/reverse?lat=${latitude}&lon=${longitude}&lang=${encodeURIComponent(language)}`
+                : `${baseUrl}/reverse?format=jsonv2&lat=${latitude}&lon=${longitude}&zoom=${zoom}&addressdetails=1&accept-language=${encodeURIComponent(language)}`;
+
+            const request = this.geocodeQueue
+                .then(() => this.requestGeocoder(url))
+                .then(data => {
+                    const location = this.getLocationName(provider === "photon" ? this.getPhotonAddress(data) : data.address || {}, zoom);
+                    this.geocodeCache.set(key, location);
+                    this.writeDataFile(GEOCODE_CACHE_FILE, { version: 1, entries: Object.fromEntries(this.geocodeCache) });
+                    return location;
+                })
+                .catch(error => {
+                    // Failures are not cached, the next image showing the place tries again
+                    Log.debug(`[${this.name}] Reverse geocoding failed: ${error.message}`);
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingGeocodes.delete(key);
+                });
+
+            this.geocodeQueue = request.then(() => new Promise(resolve => setTimeout(resolve, GEOCODE_REQUEST_INTERVAL)));
+            this.pendingGeocodes.set(key, request);
+        }
+
+        return this.pendingGeocodes.get(key);
+    },
+
+    /**
+     * Resolves the location name of coordinates from the nearest place of a
+     * local place list. The place list is loaded once and needs no cache or
+     * throttling.
+     */
+    reverseGeocodeOffline: function(config, coordinates) {
+        const file = path.resolve(this.path, config.geocoderDataFile || OFFLINE_PLACES_FILE);
+        const zoom = config.geocoderZoom ?? 10;
+
+        if (!this.offlinePlaces.has(file)) {
+            this.offlinePlaces.set(file, this.loadOfflinePlaces(file).catch(error => {
+                Log.error(`[${this.name}] Failed to load places for offline geocoding: ${error.message}`);
+                return null;
+            }));
+        }
+
+        return this.offlinePlaces.get(file).then(places => {
+            const nearest = places && this.findNearestPlace(places, coordinates);
+            if (!nearest) {
+                return null;
+            }
+
+            // Like Nominatim, coarse zoom levels leave out the city
+            const { place, distance } = nearest;
+            const address = {
+                city: zoom >= 10 && distance <= OFFLINE_PLACE_MAX_DISTANCE ? place.name : undefined,
+                state: zoom >= 5 ? places.regions.get(`${place.countryCode}.${place.regionCode}`) : undefined,
+                country: this.getCountryName(place.countryCode, config.geocoderLanguage || "en")
+            };
+
+            return this.getLocationName(address, zoom);
+        });
+    },
+
+    /**
+     * Reads a place list in the GeoNames format into a grid of 1° cells, with
+     * the region names of an admin1CodesASCII.txt next to it if there is one.
+     */
+    loadOfflinePlaces: async function(file) {
+        const places = { cells: new Map(), regions: new Map(), count: 0 };
+        const content = await fs.promises.readFile(file, "utf8");
+
+        for (const line of content.split("\n")) {
+            const columns = line.split("\t");
+            const latitude = parseFloat(columns[4]);
+            const longitude = parseFloat(columns[5]);
+            if (!columns[1] || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+                continue;
+            }
+
+            const key = `${Math.floor(latitude)},${Math.floor(longitude)}`;
+            if (!places.cells.has(key)) {
+                places.cells.set(key, []);
+            }
+            places.cells.get(key).push({
+                name: columns[1],
+                latitude: latitude,
+                longitude: longitude,
+                countryCode: columns[8] || "",
+                regionCode: columns[10] || ""
+            });
+            places.count++;
+        }
+
+        try {
+            const regions = await fs.promises.readFile(path.join(path.dirname(file), OFFLINE_REGIONS_FILE), "utf8");
+            for (const line of regions.split("\n")) {
+                const [code, name] = line.split("\t");
+                if (code && name) {
+                    places.regions.set(code, name);
+                }
+            }
+        } catch {
+            // Region names are optional
+        }
+
+        Log.info(`[${this.name}] Loaded ${places.count} places for offline geocoding`);
+        return places;
+    },
+
+    /**
+     * Finds the place closest to the coordinates. The search widens ring by
+     * ring around the cell of the coordinates and stops once no unvisited
+     * cell can hold a closer place.
+     */
+    findNearestPlace: function(places, coordinates) {
+        const row = Math.floor(coordinates.latitude);
+        const column = Math.floor(coordinates.longitude);
+        // Smallest width of a cell in km, degrees of longitude shrink towards the poles
+        const cellDistance = 111 * Math.max(Math.cos(Math.min(Math.abs(coordinates.latitude) + 1, 89) * Math.PI / 180), 0.02);
+        let nearest = null;
+
+        for (let ring = 0; ring <= 180; ring++) {
+            if (nearest && nearest.distance < (ring - 1) * cellDistance) {
+                break;
+            }
+
+            for (let latitude = row - ring; latitude <= row + ring; latitude++) {
+                for (let longitude = column - ring; longitude <= column + ring; longitude++) {
+                    if (Math.abs(latitude - row) !== ring && Math.abs(longitude - column) !== ring) {
+                        continue;
+                    }
+
+                    // Longitudes wrap around at the antimeridian
+                    const wrappedLongitude = ((longitude + 180) % 360 + 360) % 360 - 180;
+                    for (const place of places.cells.get(`${latitude},${wrappedLongitude}`) || []) {
+                        const distance = this.getDistance(coordinates, place);
+                        if (!nearest || distance < nearest.distance) {
+                            nearest = { place: place, distance: distance };
+                        }
+                    }
+                }
+            }
+        }
+
+        return nearest;
+    },
+
+    /**
+     * Returns the name of a country in the language, or the code if the
+     * runtime has no name for it.
+     */
+    getCountryName: function(countryCode, language) {
+        if (!countryCode) {
+            return undefined;
+        }
+
+        try {
+            return new Intl.DisplayNames([language], { type: "region" }).of(countryCode);
+        } catch {
+            return countryCode;
+        }
+    },
+
+    requestGeocoder: function(url) {
         return new Promise((resolve, reject) => {
-            const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=10&addressdetails=1`;
-            
             //add needed USer-Agent header
             //more information at https://operations.osmfoundation.org/policies/nominatim/
             const options = {
@@ -391,7 +2626,7 @@ module.exports = NodeHelper.create({
                 }
             };
             
-            https.get(url, options, (response) => {
+            const request = (url.startsWith("http:") ? http : https).get(url, options, (response) => {
                 let body = "";
                 
                 response.on("data", (chunk) => {
@@ -399,52 +2634,103 @@ module.exports = NodeHelper.create({
                 });
                 
                 response.on("end", () => {
+                    if (response.statusCode !== 200) {
+                        reject(new Error(`Geocoder responded with HTTP ${response.statusCode}`));
+                        return;
+                    }
+
                     try {
-                        const data = JSON.parse(body);
-                        const address = data.address || {};
-                        
-                        // Try to get the best available location name
-                        const location = address.city || 
-                                       address.town || 
-                                       address.village || 
-                                       address.hamlet || 
-                                       address.suburb || 
-                                       address.neighbourhood ||
-                                       address.county ||
-                                       address.state ||
-                                       address.country ||
-                                       null;
-                        
-                        if (location) {
-                            resolve(location);
-                        } else {
-                            reject(new Error("No location found"));
-                        }
+                        resolve(JSON.parse(body));
                     } catch (error) {
                         reject(new Error(`Failed to parse geocoding response: ${error.message}`));
                     }
                 });
-            }).on("error", reject).on("timeout", () => {
-                reject(new Error("Geocoding request timeout"));
+            });
+
+            request.on("error", reject).on("timeout", () => {
+                request.destroy(new Error("Geocoding request timeout"));
             });
         });
     },
 
-    createAuthHeader: function() {
-        const credentials = `${this.config.repositoryConfig.username}:${this.config.repositoryConfig.password}`;
+    /**
+     * Maps the first Photon result to the address keys of Nominatim.
+     */
+    getPhotonAddress: function(data) {
+        const properties = data.features?.[0]?.properties || {};
+
+        return {
+            neighbourhood: properties.locality,
+            suburb: properties.district,
+            city: properties.city || (["city", "town", "village"].includes(properties.type) ? properties.name : undefined),
+            county: properties.county,
+            state: properties.state,
+            country: properties.country
+        };
+    },
+
+    /**
+     * Picks the name of the place for the zoom level: 14 and above the
+     * suburb, 10 the city, 8 the county, 5 the state and below the country.
+     * Missing parts fall back to the best available name.
+     */
+    getLocationName: function(address, zoom) {
+        const levels = [[14, ["suburb", "neighbourhood"]], [10, []], [8, ["county"]], [5, ["state"]], [-Infinity, ["country"]]];
+        const [, preferred] = levels.find(([minZoom]) => zoom >= minZoom);
+
+        // Try to get the best available location name
+        const fallback = ["city", "town", "village", "hamlet", "suburb", "neighbourhood", "county", "state", "country"];
+
+        for (const part of [...preferred, ...fallback]) {
+            if (address[part]) {
+                return address[part];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Returns the Basic auth header for a source, or null for public shares
+     * without a password. Protected shares take the token as user name.
+     */
+    createAuthHeader: function(source) {
+        if (source.config.shareToken && !source.config.password) {
+            return null;
+        }
+
+        const username = source.config.shareToken || source.config.username;
+        const credentials = `${username}:${source.config.password}`;
         return `Basic ${Buffer.from(credentials).toString('base64')}`;
     },
 
     stop: function() {
         Log.info(`[${this.name}] Node helper stopping...`);
         
-        // Clear cache
-        if (this.imageCache) {
-            this.imageCache.clear();
+        for (const instance of this.instances.values()) {
+            this.flushPlaybackState(instance);
         }
-        
+
+        if (this.cacheIndexSaveTimer) {
+            clearTimeout(this.cacheIndexSaveTimer);
+            this.cacheIndexSaveTimer = null;
+            const indexFile = path.join(this.cacheDirectory, CACHE_INDEX_FILE);
+            try {
+                fs.writeFileSync(`${indexFile}.tmp`, JSON.stringify(this.getStoredCacheIndex()));
+                fs.renameSync(`${indexFile}.tmp`, indexFile);
+            } catch (error) {
+                Log.error(`[${this.name}] Failed to save image cache index: ${error.message}`);
+            }
+        }
+
+        // Indexing progress not written yet would have to be downloaded again
+        if (this.metadataIndexSaveTimer) {
+            clearTimeout(this.metadataIndexSaveTimer);
+            this.metadataIndexSaveTimer = null;
+            this.writeDataFileSync(METADATA_INDEX_FILE, this.getStoredMetadataIndex());
+        }
+
         // Reset state
-        this.config = null;
-        this.isInitialized = false;
+        this.instances.clear();
     }
 });
\ No newline at end of file